@@ -0,0 +1,139 @@
+// auth.js — admin login and merchant-scoped API keys
+//
+// Admins use HTTP Basic (ADMIN_USER / ADMIN_PASS) and see every merchant.
+// Merchants send an API key as "Authorization: Bearer <key>" or "X-API-Key";
+// only its SHA-256 is stored, and it limits the request to one merchant slug
+// and that merchant's sid. Middlewares set req.auth to
+//   { role: 'admin' } or { role: 'merchant', merchant, sid, key_id }.
+// Browsers' EventSource can't send either header, so a payment's event stream
+// also accepts a short-lived ?token= issued for that one payment; such requests
+// get req.auth = { role: 'stream', payment_id }.
+import crypto from 'crypto';
+
+const KEY_PREFIX = 'svp_';
+
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Hashing first keeps the comparison constant-time regardless of length.
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashApiKey(a), 'hex'), Buffer.from(hashApiKey(b), 'hex'));
+}
+
+// Payment visibility for a scope of { merchant, sid }; a null scope sees everything.
+export function paymentInScope(payment, scope) {
+  if (!scope) return true;
+  if (!payment) return false;
+  if (scope.sid && payment.sid != null && String(payment.sid) === String(scope.sid)) return true;
+  return payment.merchant != null && String(payment.merchant) === scope.merchant;
+}
+
+// The store scope for an authenticated request: null for admins (and stream
+// tokens, which are already bound to the one payment in the route).
+export function authScope(auth) {
+  return auth?.role === 'merchant' ? { merchant: auth.merchant, sid: auth.sid } : null;
+}
+
+export function createAuth({ store, adminUser, adminPass, sidForMerchant, streamSecret, streamTokenTtlSec = 7200 }) {
+  function basicAdmin(hdr) {
+    try {
+      const decoded = Buffer.from(hdr.slice(6), 'base64').toString();
+      const i = decoded.indexOf(':');
+      const user = i < 0 ? decoded : decoded.slice(0, i);
+      const pass = i < 0 ? '' : decoded.slice(i + 1);
+      return !!adminUser && safeEqual(user, adminUser) && safeEqual(pass, adminPass || '');
+    } catch {
+      return false;
+    }
+  }
+
+  // -> { auth } | { status, error }; auth is null when no credentials were sent.
+  async function authenticate(req) {
+    const hdr = req.headers.authorization || '';
+    if (hdr.startsWith('Basic ')) {
+      return basicAdmin(hdr) ? { auth: { role: 'admin' } } : { status: 403, error: 'forbidden' };
+    }
+    const key = hdr.startsWith('Bearer ') ? hdr.slice(7).trim() : String(req.headers['x-api-key'] || '').trim();
+    if (!key) return { auth: null };
+    const row = await store.findActiveApiKey(hashApiKey(key));
+    if (!row) return { status: 401, error: 'invalid api key' };
+    store.touchApiKey(row.id).catch(e => console.error('api key touch error', row.id, e.message));
+    return { auth: { role: 'merchant', merchant: row.merchant, sid: sidForMerchant(row.merchant) || row.sid || null, key_id: row.id } };
+  }
+
+  function guard(allowMerchant) {
+    return async (req, res, next) => {
+      try {
+        const r = await authenticate(req);
+        if (r.error) {
+          if (r.status === 401) res.set('WWW-Authenticate', 'Bearer');
+          return res.status(r.status).json({ error: r.error });
+        }
+        if (!r.auth) {
+          return res.status(401).set('WWW-Authenticate', allowMerchant ? 'Bearer' : 'Basic').json({ error: 'auth required' });
+        }
+        if (r.auth.role !== 'admin' && !allowMerchant) return res.status(403).json({ error: 'forbidden' });
+        req.auth = r.auth;
+        next();
+      } catch (e) {
+        console.error('auth error', e.message);
+        res.status(500).json({ error: 'auth failed', detail: e.message });
+      }
+    };
+  }
+
+  // Like requireMerchant, but lets anonymous requests through with req.auth = null.
+  async function optionalAuth(req, res, next) {
+    try {
+      const r = await authenticate(req);
+      if (r.error) return res.status(r.status).json({ error: r.error });
+      req.auth = r.auth;
+      next();
+    } catch (e) {
+      console.error('auth error', e.message);
+      res.status(500).json({ error: 'auth failed', detail: e.message });
+    }
+  }
+
+  function signStream(body) {
+    return crypto.createHmac('sha256', streamSecret).update(body).digest('base64url');
+  }
+
+  // -> { token, expires_at }; the token is "<payment_id base64url>.<exp>.<hmac>".
+  function issueStreamToken(payment_id) {
+    const exp = Math.floor(Date.now() / 1000) + streamTokenTtlSec;
+    const body = `${Buffer.from(String(payment_id)).toString('base64url')}.${exp}`;
+    return { token: `${body}.${signStream(body)}`, expires_at: new Date(exp * 1000).toISOString() };
+  }
+
+  function verifyStreamToken(token, payment_id) {
+    const [id, exp, sig] = String(token).split('.');
+    if (!id || !exp || !sig) return false;
+    if (!safeEqual(sig, signStream(`${id}.${exp}`))) return false;
+    return Number(exp) > Date.now() / 1000 && Buffer.from(id, 'base64url').toString() === String(payment_id);
+  }
+
+  // requireMerchant, or a stream token for req.params.payment_id.
+  const merchantGuard = guard(true);
+  function requirePaymentStream(req, res, next) {
+    if (req.query.token == null) return merchantGuard(req, res, next);
+    if (!verifyStreamToken(req.query.token, req.params.payment_id)) {
+      return res.status(401).json({ error: 'invalid stream token' });
+    }
+    req.auth = { role: 'stream', payment_id: req.params.payment_id };
+    next();
+  }
+
+  return {
+    requireAdmin: guard(false),
+    requireMerchant: merchantGuard, // a merchant key or the admin login
+    optionalAuth,
+    issueStreamToken,
+    requirePaymentStream,
+  };
+}
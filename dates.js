@@ -0,0 +1,14 @@
+// dates.js — timestamps as the stores hand them back
+//
+// Postgres returns Dates; the in-memory store keeps whatever was written, which is
+// an ISO string, a bare 'YYYY-MM-DD' (read as UTC midnight) or, from older rows,
+// 'YYYY-MM-DD HH:MM:SS' in UTC without a zone.
+
+// -> Date; an Invalid Date when v doesn't parse.
+export function toDate(v) {
+  if (v instanceof Date) return v;
+  const s = String(v ?? '');
+  if (/^\d{4}-\d\d-\d\d$/.test(s)) return new Date(s + 'T00:00:00Z');
+  if (/^\d{4}-\d\d-\d\d \d\d:\d\d(:\d\d(\.\d+)?)?$/.test(s)) return new Date(s.replace(' ', 'T') + 'Z');
+  return new Date(s);
+}
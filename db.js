@@ -0,0 +1,14 @@
+// db.js — Postgres connection pool from DATABASE_URL
+import pg from 'pg';
+
+const { Pool } = pg;
+
+export function buildPool() {
+  const cs = process.env.DATABASE_URL;
+  if (!cs) throw new Error('DATABASE_URL is not set');
+  const ssl =
+    /sslmode=require/.test(cs) || (process.env.PGSSLMODE || '').toLowerCase() === 'require'
+      ? { rejectUnauthorized: false }
+      : false;
+  return new Pool({ connectionString: cs, ssl });
+}
@@ -0,0 +1,43 @@
+// decimal.js — exact arithmetic on decimal strings ("12.345") for money amounts
+//
+// Amounts are scaled to BigInt integers with a common number of fraction digits,
+// so crypto amounts with 18 decimals never go through a float.
+
+export const DECIMAL_RE = /^-?\d+(\.\d+)?$/;
+
+// Fraction digits of a decimal string.
+export function places(v) {
+  return (String(v).split('.')[1] || '').length;
+}
+
+export function toScaled(v, scale) {
+  const [int, frac = ''] = String(v).replace('-', '').split('.');
+  const n = BigInt(int + frac.padEnd(scale, '0'));
+  return String(v).startsWith('-') ? -n : n;
+}
+
+export function fromScaled(n, scale) {
+  const neg = n < 0n;
+  const digits = (neg ? -n : n).toString().padStart(scale + 1, '0');
+  const out = scale ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+  return neg ? '-' + out : out;
+}
+
+// Exact sum of the decimal strings in values, at the largest input scale (as
+// Postgres SUM(numeric) does); values that don't parse are skipped, and the
+// result is null when none do.
+export function decimalSum(values) {
+  const nums = values.map(v => String(v ?? '')).filter(v => DECIMAL_RE.test(v));
+  if (!nums.length) return null;
+  const scale = Math.max(...nums.map(places));
+  return fromScaled(nums.reduce((acc, v) => acc + toScaled(v, scale), 0n), scale);
+}
+
+// n at scale `from`, rounded half away from zero to scale `to`.
+export function roundScaled(n, from, to) {
+  if (to >= from) return n * 10n ** BigInt(to - from);
+  const unit = 10n ** BigInt(from - to);
+  const q = n / unit; // truncates toward zero
+  const r = n % unit;
+  return (r < 0n ? -r : r) * 2n >= unit ? q + (n < 0n ? -1n : 1n) : q;
+}
@@ -0,0 +1,156 @@
+// escpos.js — ESC/POS byte stream for thermal receipt printers
+//
+// Renders the same receipt as the HTML/PDF outputs from the parsed print_string
+// markup: <BIG> prints double-height, <BOLD> emphasised, <SMALL> in font B,
+// <CENTER> centred, <LINE>/<DLINE> as full-width rules, <QR> with the printer's
+// native QR command and <CUT> as a real (partial) cut.
+import { parseReceiptMarkup } from './receiptMarkup.js';
+import { createLocalizer } from './i18n.js';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Characters per line in font A.
+const COLUMNS = { 58: 32, 80: 48 };
+
+// Upper halves (0x80-0xFF) of the supported code pages, with the ESC t number
+// that selects each one on Epson-compatible printers.
+const CP850_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0';
+const CODE_PAGES = {
+  cp437: {
+    n: 0,
+    high: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0',
+  },
+  cp850: { n: 2, high: CP850_HIGH },
+  cp858: { n: 19, high: CP850_HIGH.replace('ı', '€') },
+  cp1252: {
+    n: 16,
+    high: '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ' +
+      Array.from({ length: 96 }, (_, i) => String.fromCharCode(0xa0 + i)).join(''),
+  },
+};
+
+export const ESCPOS_CODE_PAGES = Object.keys(CODE_PAGES);
+
+// Common typographic characters that most code pages lack.
+const FALLBACKS = { '—': '-', '–': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...', '€': 'EUR' };
+
+function encoder(codePage) {
+  const map = new Map([...CODE_PAGES[codePage].high].map((ch, i) => [ch, 0x80 + i]));
+  const encodeChar = (ch, out) => {
+    const c = ch.codePointAt(0);
+    if (c < 0x80) out.push(c === 0x1b || c === 0x1d ? 0x3f : c);
+    else if (map.has(ch)) out.push(map.get(ch));
+    else if (FALLBACKS[ch]) for (const f of FALLBACKS[ch]) encodeChar(f, out);
+    else out.push(0x3f); // '?'
+  };
+  return (text) => {
+    const out = [];
+    for (const ch of String(text).normalize('NFC')) encodeChar(ch, out);
+    return out;
+  };
+}
+
+function qrCommands(data) {
+  const bytes = [...Buffer.from(data, 'utf8')];
+  const len = bytes.length + 3;
+  return [
+    GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00,       // model 2
+    GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06,             // module size 6
+    GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31,             // error correction M
+    GS, 0x28, 0x6b, len & 0xff, len >> 8, 0x31, 0x50, 0x30, ...bytes, // store
+    GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30,             // print
+  ];
+}
+
+function pendingBlocks(p, l10n) {
+  const row = (key, value) => ({ type: 'text', align: 'left', segments: [{ text: `${l10n.t(key)}: ${value}` }] });
+  const blocks = [
+    { type: 'text', align: 'center', segments: [{ text: l10n.t('pending_badge'), bold: true }] },
+    { type: 'line' },
+    row('payment_id', p?.payment_id || '-'),
+  ];
+  if (p?.invoice_amount) blocks.push(row('fiat_amount', l10n.amount(p.invoice_amount, p?.invoice_currency)));
+  if (p?.crypto_amount) blocks.push(row('crypto_amount', l10n.amount(p.crypto_amount, p?.currency)));
+  if (p?.address) blocks.push(row('address', p.address));
+  blocks.push(row('status', l10n.state(p?.state || p?.status || 'created')));
+  blocks.push({ type: 'text', align: 'left', segments: [{ text: l10n.t('provisional_short'), small: true }] });
+  return blocks;
+}
+
+// Under- or overpayment note; nothing for exact payments.
+function amountBlocks(p, l10n) {
+  if (!p?.crypto_received || !['underpaid', 'overpaid'].includes(p.amount_match)) return [];
+  const diff = l10n.amount(String(p.amount_difference || '').replace(/^-/, ''), p.currency);
+  const row = (text, bold = false) => ({ type: 'text', align: 'left', segments: [{ text, bold }] });
+  return [
+    { type: 'line' },
+    row(`${l10n.t('amount_expected')}: ${l10n.amount(p.crypto_expected || p.crypto_amount, p.currency)}`),
+    row(`${l10n.t('amount_received')}: ${l10n.amount(p.crypto_received, p.currency)}`),
+    row(l10n.t(p.amount_match === 'underpaid' ? 'underpaid_by' : 'overpaid_by', { amount: diff }), true),
+  ];
+}
+
+// brand: { name, address, vat, supportEmail, footer }. widthMm is 58 or 80; codePage one of
+// ESCPOS_CODE_PAGES. Without a print_string the provisional receipt for `payment`
+// is printed, translated by l10n (i18n.js createLocalizer).
+export function renderEscPos({ brand, l10n = createLocalizer(), print_string = '', payment = null, widthMm = 80, codePage = 'cp858' }) {
+  const cols = COLUMNS[widthMm];
+  if (!cols) throw new Error(`unsupported paper width ${widthMm}mm (use 58 or 80)`);
+  if (!CODE_PAGES[codePage]) throw new Error(`unsupported code page ${codePage}`);
+  const enc = encoder(codePage);
+  const out = [ESC, 0x40, ESC, 0x74, CODE_PAGES[codePage].n];
+
+  const align = (a) => out.push(ESC, 0x61, a === 'center' ? 1 : 0);
+  const style = ({ bold = false, big = false, small = false }) => {
+    out.push(ESC, 0x45, bold ? 1 : 0);
+    out.push(ESC, 0x4d, small ? 1 : 0);
+    out.push(GS, 0x21, big ? 0x01 : 0x00);
+  };
+  const reset = () => style({});
+  const cut = () => out.push(LF, LF, LF, GS, 0x56, 0x42, 0x00);
+
+  align('center');
+  style({ bold: true, big: true });
+  out.push(...enc(brand.name), LF);
+  reset();
+
+  const blocks = print_string ? parseReceiptMarkup(print_string) : pendingBlocks(payment, l10n);
+  const support = [
+    brand.address,
+    brand.vat ? `${l10n.t('vat')}: ${brand.vat}` : '',
+    brand.supportEmail ? `${l10n.t('support')}: ${brand.supportEmail}` : '',
+    brand.footer,
+  ].filter(Boolean);
+  // The amount note and support block go above a trailing cut, so they stay on this receipt.
+  const tail = blocks.length && blocks[blocks.length - 1].type === 'cut' ? blocks.pop() : null;
+  blocks.push(...amountBlocks(payment, l10n));
+  if (support.length) {
+    blocks.push({ type: 'line' });
+    for (const s of support) blocks.push({ type: 'text', align: 'left', segments: [{ text: s, small: true }] });
+  }
+  blocks.push(tail || { type: 'cut' });
+
+  for (const b of blocks) {
+    if (b.type === 'text') {
+      align(b.align);
+      for (const s of b.segments) {
+        style(s);
+        out.push(...enc(s.text));
+      }
+      reset();
+      out.push(LF);
+    } else if (b.type === 'line' || b.type === 'dline') {
+      align('left');
+      out.push(...enc((b.type === 'line' ? '-' : '=').repeat(cols)), LF);
+    } else if (b.type === 'qr') {
+      align('center');
+      out.push(...qrCommands(b.data), LF);
+    } else if (b.type === 'cut') {
+      cut();
+    }
+  }
+  return Buffer.from(out);
+}
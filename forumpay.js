@@ -0,0 +1,202 @@
+// forumpay.js — ForumPay API client
+//
+// Two credential sets, as before: the Pay API (StartPayment, CheckPayment,
+// CancelPayment) under FORUMPAY_BASE_URL and the dashboard API (GetSubAccounts,
+// GetSubAccount) under FORUMPAY_API_BASE. Every call has a timeout; idempotent
+// calls are retried with jittered backoff; each API has a circuit breaker so an
+// outage fails fast instead of piling up requests. Failures are thrown as the
+// ForumPayError subclasses below, which routes turn into responses with
+// sendForumPayError.
+import fetch from 'node-fetch';
+
+export class ForumPayError extends Error {
+  constructor(message, { op, code = 'forumpay_error', status = null, detail = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.op = op;
+    this.code = code;
+    this.status = status;      // upstream HTTP status, when there was one
+    this.detail = detail;
+  }
+}
+
+// Upstream answered with a non-2xx status.
+export class ForumPayHttpError extends ForumPayError {
+  constructor(op, status, detail) {
+    super(`${op} failed: ${status}`, { op, code: 'upstream_error', status, detail });
+  }
+}
+
+// Upstream answered 2xx but not with JSON (the dashboard API returns HTML pages on some errors).
+export class ForumPayBadResponseError extends ForumPayError {
+  constructor(op, status, preview) {
+    super(`${op} returned a non-JSON response`, { op, code: 'bad_response', status, detail: preview });
+  }
+}
+
+export class ForumPayTimeoutError extends ForumPayError {
+  constructor(op, ms) {
+    super(`${op} timed out after ${ms}ms`, { op, code: 'timeout' });
+  }
+}
+
+export class ForumPayNetworkError extends ForumPayError {
+  constructor(op, cause) {
+    super(`${op} network error: ${cause?.message || cause}`, { op, code: 'network_error' });
+  }
+}
+
+// The breaker is open; the call was not attempted.
+export class ForumPayUnavailableError extends ForumPayError {
+  constructor(op, retryAfterMs) {
+    super(`${op} skipped: ForumPay circuit open`, { op, code: 'circuit_open' });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function isRetryable(e) {
+  if (e instanceof ForumPayTimeoutError || e instanceof ForumPayNetworkError) return true;
+  return e instanceof ForumPayHttpError && (e.status === 429 || e.status >= 500);
+}
+
+// Counts consecutive failures; after `threshold` it opens for cooldownMs, then
+// lets a single trial call through (half-open) before closing again.
+function createBreaker({ threshold, cooldownMs }) {
+  let failures = 0;
+  let openedAt = 0;
+  let trial = false;
+  return {
+    check(op) {
+      if (failures < threshold) return;
+      const wait = openedAt + cooldownMs - Date.now();
+      if (wait > 0 || trial) throw new ForumPayUnavailableError(op, Math.max(wait, 1000));
+      trial = true;
+    },
+    success() { failures = 0; trial = false; },
+    failure() {
+      trial = false;
+      failures += 1;
+      if (failures >= threshold) openedAt = Date.now();
+    },
+    state() {
+      if (failures < threshold) return 'closed';
+      return openedAt + cooldownMs > Date.now() ? 'open' : 'half-open';
+    },
+  };
+}
+
+export function createForumPayClient({
+  payBase,
+  payUser,
+  paySecret,
+  posId,
+  dashBase,
+  dashUser,
+  dashPass,
+  timeoutMs = 10_000,
+  retries = 2,
+  retryBaseMs = 300,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30_000,
+  log = console,
+}) {
+  const payAuth = 'Basic ' + Buffer.from(`${payUser}:${paySecret}`).toString('base64');
+  const dashAuth = 'Basic ' + Buffer.from(`${dashUser}:${dashPass}`).toString('base64');
+  const breakers = {
+    pay: createBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs }),
+    dash: createBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs }),
+  };
+
+  async function once(op, url, init) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    const t0 = Date.now();
+    let resp, text;
+    try {
+      resp = await fetch(url, { ...init, signal: ctrl.signal });
+      text = await resp.text();
+    } catch (e) {
+      if (e.name === 'AbortError') throw new ForumPayTimeoutError(op, timeoutMs);
+      throw new ForumPayNetworkError(op, e);
+    } finally {
+      clearTimeout(timer);
+    }
+    log.log(`ForumPay ${op} ${resp.status} ${Date.now() - t0}ms`);
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    if (!resp.ok) throw new ForumPayHttpError(op, resp.status, json ?? text.slice(0, 500));
+    if (json === null) throw new ForumPayBadResponseError(op, resp.status, text.slice(0, 500));
+    return json;
+  }
+
+  async function call(op, api, url, init, { idempotent }) {
+    const breaker = breakers[api];
+    const attempts = idempotent ? retries + 1 : 1;
+    for (let i = 0; ; i++) {
+      breaker.check(op);
+      try {
+        const data = await once(op, url, init);
+        breaker.success();
+        return data;
+      } catch (e) {
+        // Only outages count against the breaker; a 4xx is the request's fault.
+        if (isRetryable(e)) breaker.failure(); else breaker.success();
+        if (!isRetryable(e) || i + 1 >= attempts) throw e;
+        await sleep(Math.random() * retryBaseMs * 2 ** i);
+      }
+    }
+  }
+
+  function payPost(op, fields, opts) {
+    const body = new URLSearchParams();
+    body.set('pos_id', posId);
+    for (const [k, v] of Object.entries(fields)) if (v != null && v !== '') body.set(k, String(v));
+    return call(op, 'pay', `${payBase}/pay/v2/${op}/`, {
+      method: 'POST',
+      headers: { Authorization: payAuth, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+    }, opts);
+  }
+
+  function dashGet(op, query = {}) {
+    const url = new URL(`${dashBase}/${op}/`);
+    for (const [k, v] of Object.entries(query)) url.searchParams.set(k, String(v));
+    return call(op, 'dash', url, { headers: { Authorization: dashAuth } }, { idempotent: true });
+  }
+
+  return {
+    posId,
+    // Not retried: a retry after a lost response would start a second payment.
+    startPayment: (fields) => payPost('StartPayment', fields, { idempotent: false }),
+    checkPayment: ({ payment_id, currency, address }) =>
+      payPost('CheckPayment', { payment_id, currency, address }, { idempotent: true }),
+    cancelPayment: ({ payment_id, currency, address, reason = null, description = null }) =>
+      payPost('CancelPayment', { payment_id, currency, address, reason, description }, { idempotent: true }),
+    getSubAccounts: () => dashGet('GetSubAccounts'),
+    getSubAccount: (sid) => dashGet('GetSubAccount', { sid }),
+    breakerState: () => ({ pay: breakers.pay.state(), dash: breakers.dash.state() }),
+  };
+}
+
+// Maps a client error to an HTTP response. Returns false for anything that is
+// not a ForumPayError so the caller can fall back to its own 500.
+export function sendForumPayError(res, e) {
+  if (!(e instanceof ForumPayError)) return false;
+  const body = { error: e.message, code: e.code, op: e.op };
+  if (e instanceof ForumPayUnavailableError) {
+    res.set('Retry-After', String(Math.ceil(e.retryAfterMs / 1000)));
+    res.status(503).json(body);
+  } else if (e instanceof ForumPayTimeoutError) {
+    res.status(504).json(body);
+  } else if (e instanceof ForumPayHttpError) {
+    // Pass ForumPay's validation errors through; our own auth failures and
+    // upstream outages are a bad gateway from the caller's point of view.
+    const status = e.status >= 400 && e.status < 500 && e.status !== 401 && e.status !== 403 ? e.status : 502;
+    res.status(status).json({ ...body, upstream_status: e.status, detail: e.detail });
+  } else {
+    res.status(502).json({ ...body, upstream_status: e.status, detail: e.detail });
+  }
+  return true;
+}
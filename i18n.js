@@ -0,0 +1,183 @@
+// i18n.js — message catalogue and locale-aware formatting for receipts and emails
+//
+// Only the text we generate is translated; ForumPay's print_string arrives
+// already rendered and is printed as-is.
+
+export const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+  en: {
+    receipt: 'Receipt',
+    brand_receipt: '{brand} Receipt',
+    pending_title: 'Pending receipt',
+    printed_at: 'Printed at {date}',
+    pending_badge: 'Pending — not yet confirmed on-chain',
+    payment_id: 'Payment ID',
+    fiat_amount: 'Fiat amount',
+    crypto_amount: 'Crypto amount',
+    amount_expected: 'Amount due',
+    amount_received: 'Amount received',
+    underpaid_by: 'Underpaid by {amount}',
+    overpaid_by: 'Overpaid by {amount}',
+    address: 'Address',
+    status: 'Status',
+    provisional_note: 'This is a provisional receipt. You’ll receive a final receipt once the payment is confirmed.',
+    provisional_short: 'This is a provisional receipt.',
+    vat: 'VAT/ABN',
+    support: 'Support',
+    email_subject: '{brand} receipt – {payment_id}',
+    state_created: 'Created',
+    state_waiting: 'Waiting',
+    state_confirmed: 'Confirmed',
+    state_cancelled: 'Cancelled',
+    state_expired: 'Expired',
+  },
+  fr: {
+    receipt: 'Reçu',
+    brand_receipt: 'Reçu {brand}',
+    pending_title: 'Reçu en attente',
+    printed_at: 'Imprimé le {date}',
+    pending_badge: 'En attente — pas encore confirmé sur la blockchain',
+    payment_id: 'ID de paiement',
+    fiat_amount: 'Montant',
+    crypto_amount: 'Montant crypto',
+    amount_expected: 'Montant dû',
+    amount_received: 'Montant reçu',
+    underpaid_by: 'Paiement insuffisant de {amount}',
+    overpaid_by: 'Trop-perçu de {amount}',
+    address: 'Adresse',
+    status: 'Statut',
+    provisional_note: 'Ceci est un reçu provisoire. Vous recevrez un reçu définitif une fois le paiement confirmé.',
+    provisional_short: 'Ceci est un reçu provisoire.',
+    vat: 'N° TVA',
+    support: 'Assistance',
+    email_subject: 'Reçu {brand} – {payment_id}',
+    state_created: 'Créé',
+    state_waiting: 'En attente',
+    state_confirmed: 'Confirmé',
+    state_cancelled: 'Annulé',
+    state_expired: 'Expiré',
+  },
+  de: {
+    receipt: 'Beleg',
+    brand_receipt: '{brand} Beleg',
+    pending_title: 'Vorläufiger Beleg',
+    printed_at: 'Gedruckt am {date}',
+    pending_badge: 'Ausstehend — noch nicht on-chain bestätigt',
+    payment_id: 'Zahlungs-ID',
+    fiat_amount: 'Betrag',
+    crypto_amount: 'Krypto-Betrag',
+    amount_expected: 'Fälliger Betrag',
+    amount_received: 'Erhaltener Betrag',
+    underpaid_by: 'Unterzahlung um {amount}',
+    overpaid_by: 'Überzahlung um {amount}',
+    address: 'Adresse',
+    status: 'Status',
+    provisional_note: 'Dies ist ein vorläufiger Beleg. Sie erhalten einen endgültigen Beleg, sobald die Zahlung bestätigt ist.',
+    provisional_short: 'Dies ist ein vorläufiger Beleg.',
+    vat: 'USt-IdNr.',
+    support: 'Support',
+    email_subject: '{brand} Beleg – {payment_id}',
+    state_created: 'Erstellt',
+    state_waiting: 'Wartend',
+    state_confirmed: 'Bestätigt',
+    state_cancelled: 'Storniert',
+    state_expired: 'Abgelaufen',
+  },
+  es: {
+    receipt: 'Recibo',
+    brand_receipt: 'Recibo de {brand}',
+    pending_title: 'Recibo pendiente',
+    printed_at: 'Impreso el {date}',
+    pending_badge: 'Pendiente — aún no confirmado en la cadena',
+    payment_id: 'ID de pago',
+    fiat_amount: 'Importe',
+    crypto_amount: 'Importe en cripto',
+    amount_expected: 'Importe debido',
+    amount_received: 'Importe recibido',
+    underpaid_by: 'Pago insuficiente por {amount}',
+    overpaid_by: 'Pago en exceso por {amount}',
+    address: 'Dirección',
+    status: 'Estado',
+    provisional_note: 'Este es un recibo provisional. Recibirá el recibo definitivo cuando se confirme el pago.',
+    provisional_short: 'Este es un recibo provisional.',
+    vat: 'NIF/IVA',
+    support: 'Soporte',
+    email_subject: 'Recibo de {brand} – {payment_id}',
+    state_created: 'Creado',
+    state_waiting: 'En espera',
+    state_confirmed: 'Confirmado',
+    state_cancelled: 'Cancelado',
+    state_expired: 'Caducado',
+  },
+};
+
+export const LOCALES = Object.keys(MESSAGES);
+
+const FIAT = new Set(Intl.supportedValuesOf('currency'));
+
+// 'fr-CA' -> 'fr'; null when the language is not in the catalogue.
+export function matchLocale(tag) {
+  const lang = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[lang] ? lang : null;
+}
+
+// Language tags from an Accept-Language header, best first.
+export function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+      return { tag: tag.trim(), q: q ? parseFloat(q[1]) : 1, i };
+    })
+    .filter(x => x.tag && x.tag !== '*' && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(x => x.tag);
+}
+
+// First supported locale among the candidates (in priority order), else the
+// best Accept-Language match, else the fallback.
+export function resolveLocale(candidates, acceptLanguage = '', fallback = DEFAULT_LOCALE) {
+  for (const c of [...candidates, ...parseAcceptLanguage(acceptLanguage)]) {
+    const hit = matchLocale(c);
+    if (hit) return hit;
+  }
+  return matchLocale(fallback) || DEFAULT_LOCALE;
+}
+
+export function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// t(key, vars) looks the key up in the locale, then in English. Amounts keep the
+// precision they were given; ISO fiat codes get the locale's currency format.
+// The decimal string goes to Intl as-is: Number() would round long crypto amounts.
+export function createLocalizer(locale = DEFAULT_LOCALE, { timeZone = 'UTC' } = {}) {
+  const lang = matchLocale(locale) || DEFAULT_LOCALE;
+  const messages = MESSAGES[lang];
+  const t = (key, vars = {}) =>
+    (messages[key] ?? MESSAGES.en[key] ?? key).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ''));
+  return {
+    locale: lang,
+    timeZone,
+    t,
+    state: (s) => (s && (messages[`state_${s}`] || MESSAGES.en[`state_${s}`])) || s,
+    amount(value, currency) {
+      const code = String(currency || '').toUpperCase();
+      const str = String(value ?? '').trim();
+      if (!/^-?\d+(\.\d+)?$/.test(str)) return `${str} ${code}`.trim();
+      if (FIAT.has(code)) return new Intl.NumberFormat(lang, { style: 'currency', currency: code }).format(str);
+      const decimals = Math.min((str.split('.')[1] || '').length, 20);
+      const n = new Intl.NumberFormat(lang, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(str);
+      return `${n} ${code}`.trim();
+    },
+    dateTime: (d) => new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeStyle: 'long', timeZone }).format(new Date(d)),
+  };
+}
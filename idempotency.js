@@ -0,0 +1,85 @@
+// idempotency.js — Idempotency-Key handling for POST routes that must not run twice
+import crypto from 'crypto';
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so {a,b} and {b,a} fingerprint the same.
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+// Records are kept per caller (one API key, the admin login, or anonymous), so a
+// merchant that reuses another's key and body gets its own payment, not theirs.
+function callerOf(req) {
+  const auth = req.auth;
+  if (auth?.role === 'merchant') return `key:${auth.key_id}`;
+  return auth?.role || 'anonymous';
+}
+
+// Middleware: without an Idempotency-Key header the request passes straight through.
+// With one, the first request runs and its JSON response is stored for ttlSec; a retry
+// with the same key and body gets that response back (Idempotent-Replayed: true), a
+// retry with a different body gets 422, and one that arrives while the first is still
+// running gets 409. 5xx responses are not stored, so the client may retry them.
+// Runs after the auth middleware, which sets req.auth.
+export function idempotency({ store, scope: routeScope, ttlSec }) {
+  return async (req, res, next) => {
+    const key = String(req.get('Idempotency-Key') || '').trim();
+    if (!key) return next();
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = `${routeScope}:${callerOf(req)}`;
+    const fingerprint = fingerprintRequest(req);
+    let claim;
+    try {
+      claim = await store.claimIdempotencyKey({ scope, key, fingerprint, ttlSec });
+    } catch (e) {
+      console.error('idempotency claim error', e);
+      return res.status(500).json({ error: 'Internal error', detail: e.message });
+    }
+
+    if (!claim.claimed) {
+      const rec = claim.record;
+      if (!rec) return res.status(409).json({ error: 'Idempotency-Key conflict, retry' });
+      if (rec.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+      }
+      if (rec.status_code == null) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+      return res.status(rec.status_code).set('Idempotent-Replayed', 'true').json(rec.response);
+    }
+
+    // Record the outcome before the response goes out, so a retry that races the
+    // reply already sees the stored result rather than "in progress".
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const op = res.statusCode < 500
+        ? store.completeIdempotencyKey({ scope, key, status_code: res.statusCode, response: body })
+        : store.releaseIdempotencyKey({ scope, key });
+      op.catch(e => console.error('idempotency store error', key, e.message)).finally(() => json(body));
+      return res;
+    };
+    res.on('close', () => {
+      if (settled) return;
+      store.releaseIdempotencyKey({ scope, key })
+        .catch(e => console.error('idempotency store error', key, e.message));
+    });
+    next();
+  };
+}
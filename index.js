@@ -1,20 +1,37 @@
-// index.js — SavoPay backend (standalone, in-memory store)
+// index.js — SavoPay backend (Postgres store, in-memory fallback)
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import nodemailer from 'nodemailer';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit'; import metaSupported from './routes/metaSupported.js';
+import { store } from './store.js';
+import { REPORT_COLUMNS, REPORT_GROUP_DIMENSIONS, EXPORT_COLUMN_SETS, EXPORT_COLUMNS } from './schema.js';
+import { createExportFormatter, streamExport, csvCell, EXPORT_PROFILES } from './reportExport.js';
+import { idempotency } from './idempotency.js';
+import { createWebhookVerifier, parseSecretList, redactUrl } from './webhookAuth.js';
+import { createMerchantWebhooks, paymentSummary } from './merchantWebhooks.js';
+import { normalizeState, canTransition, isTerminal, updateFromCheckPayment, AMOUNT_MATCHES } from './paymentState.js';
+import { createRecheckSchedule } from './recheckSchedule.js';
+import { createRecheckScheduler } from './scheduler.js';
+import { createPaymentEvents } from './paymentEvents.js';
+import { createForumPayClient, sendForumPayError, ForumPayError } from './forumpay.js';
+import { createTransport, createOutbox } from './mailer.js';
+import { renderReceiptPdf } from './receiptPdf.js';
+import { renderEscPos, ESCPOS_CODE_PAGES } from './escpos.js';
+import { qrSvg, qrPng } from './receiptQr.js';
+import { createLocalizer, resolveLocale, matchLocale, isValidTimeZone } from './i18n.js';
+import { createAuth, generateApiKey, hashApiKey, authScope, paymentInScope } from './auth.js';
+import { parseSettlementFile, reconcile } from './reconcile.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function nowIso(){return new Date().toISOString().replace('T',' ').slice(0,19)}
-function parseIsoLike(s){try{return new Date(String(s).replace(' ','T')+'Z')}catch{return new Date()}}
+function nowIso(){return new Date().toISOString()}
 // Merchant routing: slug -> sid allow-list
 function safeJsonParse(s, fallback) {
   try { return JSON.parse(s); } catch { return fallback; }
@@ -44,31 +61,29 @@ function isAllowedSid(sid) {
   if (!allowListEnabled()) return true;
   return ALLOWED_SIDS.has(String(sid));
 }
-const payments=[]; const webhookEvents=[];
-const store={
-  async listPayments(){return payments.slice().sort((a,b)=>parseIsoLike(b.created_at)-parseIsoLike(a.created_at))},
-  async saveStart(obj){payments.push({...obj});return true},
-  async getPayment(id){return payments.find(p=>p.payment_id===id)||null},
-  async update(id,patch){const i=payments.findIndex(p=>p.payment_id===id);if(i>=0){payments[i]={...payments[i],...patch};return true}return false},
-  async listPendingOlderThan(ageSec=60,limit=25){const cutoff=Date.now()-ageSec*1000;return payments.filter(p=>!p.confirmed&&parseIsoLike(p.created_at).getTime()<cutoff).slice(0,limit)},
-  async logWebhookEvent(ev){webhookEvents.unshift({id:'wh_'+Date.now(),ts:new Date().toISOString(),...ev});return true},
-  async listWebhookEvents(limit=100){return webhookEvents.slice(0,limit)},
-  _pool:{query:async(q,params)=>{
-    if(q.includes("FILTER (WHERE state = 'confirmed')")){
-      const d=params?.[0];const dayRows=payments.filter(p=>new Date(p.created_at).toISOString().slice(0,10)===String(d));
-      const confirmed=dayRows.filter(p=>String(p.state)==='confirmed').length;
-      return{rows:[{confirmed_count:confirmed,total_count:dayRows.length}]}
-    }
-    if(q.includes('FROM payments')&&q.includes('BETWEEN')){
-      const from=params?.[0],to=params?.[1];
-      const inRange=p=>{const d=new Date(p.created_at).toISOString().slice(0,10);return d>=String(from)&&d<=String(to)}
-      const cols=["created_at","payment_id","order_id","invoice_amount","invoice_currency","crypto_amount","currency","state","status","customer_email","payer_id","confirmed","confirmed_time"];
-      const rows=payments.filter(inRange).sort((a,b)=>parseIsoLike(b.created_at)-parseIsoLike(a.created_at)).map(p=>{const r={};cols.forEach(c=>r[c]=p[c]??null);return r});
-      return{rows}
-    }
-    return{rows:[]}
-  }}
-};
+
+function merchantForSid(sid) {
+  if (!sid) return null;
+  const hit = Object.entries(MERCHANT_MAP || {}).find(([, v]) => String(v) === String(sid));
+  return hit ? hit[0] : null;
+}
+
+// Outbound webhooks: slug -> { url, secret }
+const MERCHANT_WEBHOOKS = safeJsonParse(process.env.MERCHANT_WEBHOOKS_JSON || "{}", {});
+
+function merchantOfPayment(payment) {
+  return payment?.merchant ? normalizeMerchantSlug(payment.merchant) : merchantForSid(payment?.sid);
+}
+
+function merchantWebhookEndpoint(payment) {
+  const merchant = merchantOfPayment(payment);
+  const ep = merchant && MERCHANT_WEBHOOKS ? MERCHANT_WEBHOOKS[merchant] : null;
+  return ep && ep.url ? { merchant, url: String(ep.url), secret: ep.secret ? String(ep.secret) : '' } : null;
+}
+
+// Receipt branding: slug -> { name, logo, address, vat, support_email, footer, locale, time_zone }.
+// Missing fields fall back to the global BRAND_* / RECEIPT_* values.
+const MERCHANT_BRANDS = safeJsonParse(process.env.MERCHANT_BRANDS_JSON || "{}", {});
 
 const app = express();
 
@@ -86,8 +101,13 @@ app.get("/version", (req, res) => {
 
 app.disable('x-powered-by');
 app.set('trust proxy', true);
-app.use(express.json({ limit: '1mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw bytes for HMAC verification of webhook callbacks.
+const keepRawBody = (req, _res, buf) => { req.rawBody = buf; };
+const jsonBody = express.json({ limit: '1mb', verify: keepRawBody });
+// Settlement uploads are parsed by their route instead: after auth, and with
+// RECONCILIATION_UPLOAD_LIMIT rather than 1mb.
+app.use((req, res, next) => (req.path === '/admin/reconciliations' ? next() : jsonBody(req, res, next)));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.use(
@@ -155,7 +175,8 @@ app.use(
       return cb(null, false);
     },
     methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-API-Key', 'Last-Event-ID'],
+    exposedHeaders: ['Idempotent-Replayed', 'X-Total-Count', 'X-Next-Cursor'],
     optionsSuccessStatus: 204,
   })
 );
@@ -167,7 +188,7 @@ app.use((req, res, next) => {
   const t0 = Date.now();
   res.on('finish', () => {
     const ms = Date.now() - t0;
-    console.log(`${req.ip} ${req.method} ${req.originalUrl} -> ${res.statusCode} ${ms}ms`);
+    console.log(`${req.ip} ${req.method} ${redactUrl(req.originalUrl)} -> ${res.statusCode} ${ms}ms`);
   });
   next();
 });
@@ -191,7 +212,37 @@ const PAY_SECRET = process.env.FORUMPAY_PAY_SECRET || process.env.FORUMPAY_SECRE
 const POS_ID = process.env.FORUMPAY_POS_ID || 'savopay-pos-01';
 
 const CALLBACK_URL = process.env.FORUMPAY_CALLBACK_URL || '';
-const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN || process.env.FORUMPAY_WEBHOOK_SECRET || '';
+
+const forumpay = createForumPayClient({
+  payBase: PAY_BASE,
+  payUser: PAY_USER,
+  paySecret: PAY_SECRET,
+  posId: POS_ID,
+  dashBase: FP_BASE,
+  dashUser: FP_USER,
+  dashPass: FP_PASS,
+  timeoutMs: parseInt(process.env.FORUMPAY_TIMEOUT_MS || '10000', 10),
+  retries: parseInt(process.env.FORUMPAY_RETRIES || '2', 10),
+  breakerThreshold: parseInt(process.env.FORUMPAY_BREAKER_THRESHOLD || '5', 10),
+  breakerCooldownMs: parseInt(process.env.FORUMPAY_BREAKER_COOLDOWN_MS || '30000', 10),
+});
+// Comma-separated lists; the first entry is current, the rest are still accepted during rotation.
+const WEBHOOK_TOKENS = parseSecretList(process.env.WEBHOOK_TOKENS, process.env.WEBHOOK_TOKEN, process.env.FORUMPAY_WEBHOOK_SECRET);
+const WEBHOOK_TOKEN = WEBHOOK_TOKENS[0] || '';
+const WEBHOOK_HMAC_SECRETS = parseSecretList(process.env.WEBHOOK_HMAC_SECRETS);
+const WEBHOOK_SIGNATURE_HEADER = process.env.WEBHOOK_SIGNATURE_HEADER || 'x-signature';
+const WEBHOOK_TIMESTAMP_HEADER = process.env.WEBHOOK_TIMESTAMP_HEADER || 'x-timestamp';
+const WEBHOOK_TOLERANCE_SEC = parseInt(process.env.WEBHOOK_TOLERANCE_SEC || '300', 10);
+const WEBHOOK_REQUIRE_SIGNATURE = (process.env.WEBHOOK_REQUIRE_SIGNATURE || '').toLowerCase() === 'true';
+
+const verifyWebhook = createWebhookVerifier({
+  tokens: WEBHOOK_TOKENS,
+  hmacSecrets: WEBHOOK_HMAC_SECRETS,
+  signatureHeader: WEBHOOK_SIGNATURE_HEADER,
+  timestampHeader: WEBHOOK_TIMESTAMP_HEADER,
+  toleranceSec: WEBHOOK_TOLERANCE_SEC,
+  requireSignature: WEBHOOK_REQUIRE_SIGNATURE,
+});
 
 const SMTP_HOST = process.env.SMTP_HOST || process.env.EMAIL_HOST || 'smtp.office365.com';
 const SMTP_PORT = parseInt(process.env.SMTP_PORT || process.env.EMAIL_PORT || '587', 10);
@@ -199,53 +250,134 @@ const SMTP_USER = process.env.SMTP_USER || process.env.EMAIL_USER || '';
 const SMTP_PASS = process.env.SMTP_PASS || process.env.EMAIL_PASS || '';
 const FROM_EMAIL = process.env.FROM_EMAIL || process.env.EMAIL_FROM || SMTP_USER || 'receipts@savopay.local';
 
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'auto').toLowerCase();
+const EMAIL_SINK_DIR = process.env.EMAIL_SINK_DIR || path.join(os.tmpdir(), 'savopay-mail-sink');
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '6', 10);
+const EMAIL_OUTBOX_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || '30000', 10);
+
+const outbox = createOutbox({
+  store,
+  transport: createTransport(EMAIL_TRANSPORT, {
+    smtp: { host: SMTP_HOST, port: SMTP_PORT, user: SMTP_USER, pass: SMTP_PASS },
+    sinkDir: EMAIL_SINK_DIR,
+  }),
+  from: FROM_EMAIL,
+  maxAttempts: EMAIL_MAX_ATTEMPTS,
+  async onSent(email, { messageId, delivered }) {
+    // A log or sink transport never reaches the customer, so the receipt isn't sent.
+    if (email.kind !== 'final_receipt' || !email.payment_id || !delivered) return;
+    await store.update(email.payment_id, {
+      receipt_sent_at: new Date().toISOString(),
+      receipt_message_id: messageId,
+      receipt_error: null,
+    });
+  },
+  async onFailed(email, error) {
+    if (email.kind !== 'final_receipt' || !email.payment_id) return;
+    await store.update(email.payment_id, { receipt_error: error });
+  },
+});
+
 const BRAND_NAME = process.env.BRAND_NAME || 'SavoPay';
 const BRAND_LOGO_PATH = process.env.BRAND_LOGO_PATH || '';
 const BRAND_ADDRESS = process.env.BRAND_ADDRESS || '';
 const BRAND_SUPPORT_EMAIL = process.env.BRAND_SUPPORT_EMAIL || '';
 const BRAND_VAT = process.env.BRAND_VAT || process.env.BRAND_ABN || '';
+const BRAND_FOOTER = process.env.BRAND_FOOTER || '';
+const RECEIPT_LOCALE = process.env.RECEIPT_LOCALE || 'en';
+const RECEIPT_TIME_ZONE = process.env.RECEIPT_TIME_ZONE || 'UTC';
+
+const ESCPOS_WIDTH_MM = parseInt(process.env.ESCPOS_WIDTH_MM || '80', 10);
+const ESCPOS_CODEPAGE = (process.env.ESCPOS_CODEPAGE || 'cp858').toLowerCase();
+
+// Largest difference between received and expected crypto that still counts as
+// exact, per currency: { "BTC": "0.00000100", "USDT": "0.01", "*": "0" }.
+const AMOUNT_TOLERANCES = safeJsonParse(process.env.AMOUNT_TOLERANCE_JSON || "{}", {});
+
+// Settlement files posted as text (CSV, or JSON sent as text/plain) may exceed the 1mb JSON limit.
+const RECONCILIATION_UPLOAD_LIMIT = process.env.RECONCILIATION_UPLOAD_LIMIT || '10mb';
 
 const BRAND_LOGO_EMBED = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAARAAAAAwCAYAAABcQd4SAAABlUlEQVR4nO3cQY7CMBQF0c8m1v9LwVvW7h0wSYo6W6w6mS5w0m3x2Y0l9E6x0Zs2Yz2VgR7kLxg7k0Yx+7JQ7k9qgD8Y0aXg7i8N6bq6f5LwzCwAAAAAAAAAAAAAAAAAAAAAAAD4k0R3p9l5z4m1c7G+3h1q0q0M0H1k6f3c7S1b1+u+6dRk5wbrp3m8y3u3g2Xr9Y6m7q1IV9Xw2t8F8m4l5v8mV6g1G2bQb5GvQp9Q5o0h8lq8yq8b2mLw6cXy1q8bQk2b8S1Vqv8W3m3j6t8b6a9m8mXU6b5IY9Y0b6WgI1i0c3b4vL6m9vQm8oV1uW3qk5L7WgN1u0a3b4tL6n9tQm8oV1uW3qk5L7WgP1r0Y0Z+b/0mEw9t1bqgVbJ8n7mB1JrnHcVxZz0f9y4xv5n4HkI7z8Y8oW+e3jU0e7p8eQmV4mS9F0b0Yb0b0Yb0b0Yb0b0Yb0b8Tj2f1bA6f4z3fXx6c8g3kQAAAAAAAAAAAAAAAAAAAAAAAB/wN7dKcH6g9bqAAAAAElFTkSuQmCC';
 
 const CRON_RECHECK_MS = parseInt(process.env.CRON_RECHECK_MS || '60000', 10);
 const PENDING_MIN_AGE_SEC = parseInt(process.env.PENDING_MIN_AGE_SEC || '60', 10);
+// Expiry when StartPayment sends no wait_time, the recheck backoff steps after the
+// first check, and how long after expiry the final check runs. See recheckSchedule.js.
+const PAYMENT_TTL_SEC = parseInt(process.env.PAYMENT_TTL_SEC || '3600', 10);
+const RECHECK_BACKOFF_SEC = String(process.env.RECHECK_BACKOFF_SEC || '60,120,300,600')
+  .split(',').map(v => parseInt(v, 10)).filter(n => n > 0);
+const PAYMENT_EXPIRY_GRACE_SEC = parseInt(process.env.PAYMENT_EXPIRY_GRACE_SEC || '120', 10);
+const RECHECK_MAX_LATE_FAILURES = parseInt(process.env.RECHECK_MAX_LATE_FAILURES || '5', 10);
+// Recheck worker (scheduler.js): payments claimed per tick, checks in flight, how
+// long a claim holds before another instance may take the payment, tick jitter.
+const SCHEDULER_BATCH_SIZE = parseInt(process.env.SCHEDULER_BATCH_SIZE || '20', 10);
+const SCHEDULER_CONCURRENCY = parseInt(process.env.SCHEDULER_CONCURRENCY || '4', 10);
+const SCHEDULER_LEASE_SEC = parseInt(process.env.SCHEDULER_LEASE_SEC || '120', 10);
+const SCHEDULER_JITTER_MS = parseInt(process.env.SCHEDULER_JITTER_MS || String(Math.round(CRON_RECHECK_MS / 10)), 10);
+const SCHEDULER_INSTANCE_ID = process.env.SCHEDULER_INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+// Payment event streams (GET /payments/:id/events). Stream tokens are signed with
+// STREAM_TOKEN_SECRET; without it each process makes up its own, so set it when
+// more than one instance serves the API.
+const PAYMENT_EVENTS_HEARTBEAT_MS = parseInt(process.env.PAYMENT_EVENTS_HEARTBEAT_MS || '15000', 10);
+const PAYMENT_EVENTS_POLL_MS = parseInt(process.env.PAYMENT_EVENTS_POLL_MS || '5000', 10);
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const STREAM_TOKEN_TTL_SEC = parseInt(process.env.STREAM_TOKEN_TTL_SEC || '7200', 10);
 const DISABLE_AUTO_RECHECK = (process.env.DISABLE_AUTO_RECHECK || '').toLowerCase() === 'true';
+const DISABLE_AUTO_RECEIPT = (process.env.DISABLE_AUTO_RECEIPT || '').toLowerCase() === 'true';
+const IDEMPOTENCY_TTL_SEC = parseInt(process.env.IDEMPOTENCY_TTL_SEC || '86400', 10);
+const MERCHANT_WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const MERCHANT_WEBHOOK_INTERVAL_MS = parseInt(process.env.MERCHANT_WEBHOOK_INTERVAL_MS || '15000', 10);
+
+const merchantWebhooks = createMerchantWebhooks({
+  store,
+  endpointFor: merchantWebhookEndpoint,
+  maxAttempts: MERCHANT_WEBHOOK_MAX_ATTEMPTS,
+});
 
-function requireAdmin(req, res, next) {
-  try {
-    const hdr = req.headers.authorization || '';
-    if (!hdr.startsWith('Basic ')) {
-      return res.status(401).set('WWW-Authenticate', 'Basic').json({ error: 'auth required' });
-    }
-    const [user, pass] = Buffer.from(hdr.slice(6), 'base64').toString().split(':');
-    if (user === (process.env.ADMIN_USER || '') && pass === (process.env.ADMIN_PASS || '')) return next();
-    return res.status(403).json({ error: 'forbidden' });
-  } catch {
-    return res.status(401).set('WWW-Authenticate', 'Basic').json({ error: 'auth required' });
-  }
-}
+const recheckSchedule = createRecheckSchedule({
+  firstDelaySec: PENDING_MIN_AGE_SEC,
+  backoffSec: RECHECK_BACKOFF_SEC,
+  ttlSec: PAYMENT_TTL_SEC,
+  graceSec: PAYMENT_EXPIRY_GRACE_SEC,
+  maxLateFailures: RECHECK_MAX_LATE_FAILURES,
+});
+
+// requireAdmin: the ADMIN_USER login only. requireMerchant: a merchant API key
+// (scoped to that merchant) or the admin login (unscoped). See auth.js.
+const { requireAdmin, requireMerchant, optionalAuth, issueStreamToken, requirePaymentStream } = createAuth({
+  store,
+  adminUser: process.env.ADMIN_USER || '',
+  adminPass: process.env.ADMIN_PASS || '',
+  sidForMerchant,
+  streamSecret: STREAM_TOKEN_SECRET,
+  streamTokenTtlSec: STREAM_TOKEN_TTL_SEC,
+});
 
-const PAY_BASIC = Buffer.from(`${PAY_USER}:${PAY_SECRET}`).toString('base64');
-const basicAuthHeader = 'Basic ' + PAY_BASIC;
+const paymentEvents = createPaymentEvents({
+  store,
+  summarize: paymentSummary,
+  heartbeatMs: PAYMENT_EVENTS_HEARTBEAT_MS,
+  pollMs: PAYMENT_EVENTS_POLL_MS,
+});
 
-async function parseMaybeJson(res) {
-  const text = await res.text();
-  try { return { kind: 'json', data: JSON.parse(text) }; }
-  catch { return { kind: 'html', data: text }; }
+function logoFromPath(value) {
+  const val = String(value || '').trim();
+  if (!val) return '';
+  if (val.startsWith('data:') || val.startsWith('http')) return val;
+  try {
+    const abs = path.join(__dirname, 'public', val.replace(/^\//, ''));
+    if (fs.existsSync(abs)) {
+      const b64 = fs.readFileSync(abs).toString('base64');
+      const mime = abs.toLowerCase().endsWith('.jpg') || abs.toLowerCase().endsWith('.jpeg') ? 'image/jpeg' : 'image/png';
+      return `data:${mime};base64,${b64}`;
+    }
+  } catch {}
+  return '';
 }
-function getLogoSrc() {
-  const envVal = (BRAND_LOGO_PATH || '').trim();
-  if (envVal) {
-    if (envVal.startsWith('data:') || envVal.startsWith('http')) return envVal;
-    try {
-      const abs = path.join(__dirname, 'public', envVal.replace(/^\//, ''));
-      if (fs.existsSync(abs)) {
-        const b64 = fs.readFileSync(abs).toString('base64');
-        const mime = abs.toLowerCase().endsWith('.jpg') || abs.toLowerCase().endsWith('.jpeg') ? 'image/jpeg' : 'image/png';
-        return `data:${mime};base64,${b64}`;
-      }
-    } catch {}
-  }
+// A merchant logo wins; otherwise BRAND_LOGO_PATH, public/logo.png, the embedded logo.
+function getLogoSrc(merchantLogo = '') {
+  const src = logoFromPath(merchantLogo) || logoFromPath(BRAND_LOGO_PATH);
+  if (src) return src;
   try {
     const abs = path.join(__dirname, 'public', 'logo.png');
     if (fs.existsSync(abs)) {
@@ -255,16 +387,61 @@ function getLogoSrc() {
   } catch {}
   return BRAND_LOGO_EMBED || '';
 }
-function receiptSupportBlock() {
-  return (BRAND_ADDRESS || BRAND_SUPPORT_EMAIL || BRAND_VAT)
+function merchantBrandProfile(payment) {
+  const merchant = merchantOfPayment(payment);
+  return (merchant && MERCHANT_BRANDS && MERCHANT_BRANDS[merchant]) || {};
+}
+// The branding profile for a payment's merchant, merged over the global brand.
+function receiptBrand(payment = null) {
+  const profile = merchantBrandProfile(payment);
+  return {
+    name: profile.name || BRAND_NAME,
+    logoSrc: getLogoSrc(profile.logo),
+    address: profile.address || BRAND_ADDRESS,
+    vat: profile.vat || BRAND_VAT,
+    supportEmail: profile.support_email || BRAND_SUPPORT_EMAIL,
+    footer: profile.footer || BRAND_FOOTER,
+  };
+}
+// Locale: ?lang, then the payment's locale, the merchant's, Accept-Language and
+// RECEIPT_LOCALE. Time zone: ?tz, the merchant's, RECEIPT_TIME_ZONE.
+function receiptLocalizer(payment = null, { lang = null, tz = null, acceptLanguage = '' } = {}) {
+  const profile = merchantBrandProfile(payment);
+  const locale = resolveLocale([lang, payment?.locale, profile.locale], acceptLanguage, RECEIPT_LOCALE);
+  const timeZone = [tz, profile.time_zone, RECEIPT_TIME_ZONE].find(isValidTimeZone) || 'UTC';
+  return createLocalizer(locale, { timeZone });
+}
+function requestLocalizer(req, payment) {
+  return receiptLocalizer(payment, { lang: req.query.lang, tz: req.query.tz, acceptLanguage: req.get('accept-language') });
+}
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+function receiptSupportBlock(brand = receiptBrand(), l10n = receiptLocalizer()) {
+  const { address, vat, supportEmail, footer } = brand;
+  return (address || supportEmail || vat || footer)
     ? `<div style="margin-top:10px;padding-top:10px;border-top:1px solid #eee;font-size:12px;color:#374151">
-         ${BRAND_ADDRESS ? `<div>${BRAND_ADDRESS}</div>` : ``}
-         ${BRAND_VAT ? `<div>VAT/ABN: ${BRAND_VAT}</div>` : ``}
-         ${BRAND_SUPPORT_EMAIL ? `<div>Support: <a href="mailto:${BRAND_SUPPORT_EMAIL}">${BRAND_SUPPORT_EMAIL}</a></div>` : ``}
+         ${address ? `<div>${escapeHtml(address)}</div>` : ``}
+         ${vat ? `<div>${l10n.t('vat')}: ${escapeHtml(vat)}</div>` : ``}
+         ${supportEmail ? `<div>${l10n.t('support')}: <a href="mailto:${escapeHtml(supportEmail)}">${escapeHtml(supportEmail)}</a></div>` : ``}
+         ${footer ? `<div style="margin-top:6px">${escapeHtml(footer)}</div>` : ``}
        </div>`
     : '';
 }
-function renderReceiptHTML(print_string) {
+// Under- or overpayment note: what was due, what arrived and the difference.
+// Exact payments need none; ForumPay's print_string already shows the amount.
+function receiptAmountBlock(p, l10n = receiptLocalizer(p)) {
+  if (!p?.crypto_received || !['underpaid', 'overpaid'].includes(p.amount_match)) return '';
+  const diff = l10n.amount(String(p.amount_difference || '').replace(/^-/, ''), p.currency);
+  return `<div style="margin-top:10px;padding:8px 10px;border-radius:8px;background:#fef3c7;color:#92400e;font-size:13px">
+      <div>${l10n.t('amount_expected')}: ${l10n.amount(p.crypto_expected || p.crypto_amount, p.currency)}</div>
+      <div>${l10n.t('amount_received')}: ${l10n.amount(p.crypto_received, p.currency)}</div>
+      <div style="font-weight:600">${l10n.t(p.amount_match === 'underpaid' ? 'underpaid_by' : 'overpaid_by', { amount: diff })}</div>
+    </div>`;
+}
+// <QR> blocks become inline SVG unless qrImage(data) supplies an <img> src instead
+// (emails, where inline SVG is rarely rendered). payment adds the amount note.
+function renderReceiptHTML(print_string, { brand = receiptBrand(), l10n = receiptLocalizer(), qrImage, payment = null } = {}) {
   let html = print_string || '';
   html = html
     .replace(/<SMALL>/g, "<div style='font-size:12px;'>")
@@ -278,11 +455,18 @@ function renderReceiptHTML(print_string) {
     .replace(/<LINE>/g, "<hr style='border:none;border-top:1px dashed #aaa;margin:8px 0'/>")
     .replace(/<DLINE>/g, "<hr style='border:none;border-top:2px solid #222;margin:10px 0'/>")
     .replace(/<CUT>/g, "<hr style='border:none;border-top:2px dashed #222;margin:12px 0'/>")
-    .replace(/<QR>.*?<\/QR>/g, '')
+    .replace(/<QR>([\s\S]*?)<\/QR>/gi, (_, data) => {
+      data = data.trim();
+      if (!data) return '';
+      const code = qrImage
+        ? `<img src="${qrImage(data)}" width="160" height="160" alt="QR code"/>`
+        : qrSvg(data);
+      return `<div style='text-align:center;margin:8px 0'>${code}</div>`;
+    })
     .replace(/<BR>/g, '<br/>');
-  const logoSrc = getLogoSrc();
-  return `<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
-  <title>Receipt</title>
+  const logoSrc = brand.logoSrc;
+  return `<!doctype html><html lang="${l10n.locale}"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>${l10n.t('receipt')}</title>
   <style>
     body{font-family:-apple-system,Segoe UI,Roboto,Inter,Arial;padding:16px;background:#fff}
     .card{max-width:520px;margin:0 auto;border:1px solid #e5e7eb;border-radius:12px;padding:16px;box-shadow:0 1px 2px rgba(0,0,0,.05)}
@@ -295,21 +479,22 @@ function renderReceiptHTML(print_string) {
     <div class="card">
       <div class="brand">
         ${logoSrc ? `<img src="${logoSrc}" alt="logo" onerror="this.style.display='none';">` : ``}
-        <span>${BRAND_NAME} Receipt</span>
+        <span>${escapeHtml(l10n.t('brand_receipt', { brand: brand.name }))}</span>
       </div>
-      <div class="meta">Printed at ${new Date().toLocaleString()}</div>
+      <div class="meta">${l10n.t('printed_at', { date: l10n.dateTime(new Date()) })}</div>
       <div>${html}</div>
-      ${receiptSupportBlock()}
+      ${receiptAmountBlock(payment, l10n)}
+      ${receiptSupportBlock(brand, l10n)}
     </div>
   </body></html>`;
 }
-function renderPendingReceiptHTML(p) {
-  const fiat = p?.invoice_amount ? `${p.invoice_amount} ${p?.invoice_currency || ''}`.trim() : null;
-  const crypto = p?.crypto_amount ? `${p.crypto_amount} ${p?.currency || ''}`.trim() : null;
+function renderPendingReceiptHTML(p, { brand = receiptBrand(p), l10n = receiptLocalizer(p) } = {}) {
+  const fiat = p?.invoice_amount ? l10n.amount(p.invoice_amount, p?.invoice_currency) : null;
+  const crypto = p?.crypto_amount ? l10n.amount(p.crypto_amount, p?.currency) : null;
   const address = p?.address || null;
-  const logoSrc = getLogoSrc();
-  return `<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
-  <title>Pending receipt</title>
+  const logoSrc = brand.logoSrc;
+  return `<!doctype html><html lang="${l10n.locale}"><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>${l10n.t('pending_title')}</title>
   <style>
     body{font-family:-apple-system,Segoe UI,Roboto,Inter,Arial;padding:16px;background:#fff}
     .card{max-width:520px;margin:0 auto;border:1px solid #e5e7eb;border-radius:12px;padding:16px;box-shadow:0 1px 2px rgba(0,0,0,.05)}
@@ -324,84 +509,149 @@ function renderPendingReceiptHTML(p) {
     <div class="card">
       <div class="brand">
         ${logoSrc ? `<img src="${logoSrc}" alt="logo" onerror="this.style.display='none';">` : ``}
-        <span>${BRAND_NAME} Receipt</span>
+        <span>${escapeHtml(l10n.t('brand_receipt', { brand: brand.name }))}</span>
       </div>
-      <div class="badge">Pending — not yet confirmed on-chain</div>
-      <div class="row"><span class="label">Payment ID:</span> ${p?.payment_id || '-'}</div>
-      ${fiat ? `<div class="row"><span class="label">Fiat amount:</span> ${fiat}</div>` : ''}
-      ${crypto ? `<div class="row"><span class="label">Crypto amount:</span> ${crypto}</div>` : ''}
-      ${address ? `<div class="row"><span class="label">Address:</span> ${address}</div>` : ''}
-      <div class="row"><span class="label">Status:</span> ${p?.state || p?.status || 'created'}</div>
-      <p style="margin-top:10px;color:#374151">This is a provisional receipt. You’ll receive a final receipt once the payment is confirmed.</p>
-      ${receiptSupportBlock()}
+      <div class="badge">${l10n.t('pending_badge')}</div>
+      <div class="row"><span class="label">${l10n.t('payment_id')}:</span> ${p?.payment_id || '-'}</div>
+      ${fiat ? `<div class="row"><span class="label">${l10n.t('fiat_amount')}:</span> ${fiat}</div>` : ''}
+      ${crypto ? `<div class="row"><span class="label">${l10n.t('crypto_amount')}:</span> ${crypto}</div>` : ''}
+      ${address ? `<div class="row"><span class="label">${l10n.t('address')}:</span> ${address}</div>` : ''}
+      <div class="row"><span class="label">${l10n.t('status')}:</span> ${l10n.state(normalizeState(p?.state) || p?.status || 'created')}</div>
+      ${receiptAmountBlock(p, l10n)}
+      <p style="margin-top:10px;color:#374151">${l10n.t('provisional_note')}</p>
+      ${receiptSupportBlock(brand, l10n)}
     </div>
   </body></html>`;
 }
-function makeTransporter() {
-  if (!SMTP_HOST || !SMTP_PORT || !SMTP_USER || !SMTP_PASS) throw new Error('SMTP not configured');
-  return nodemailer.createTransport({
-    host: SMTP_HOST,
-    port: SMTP_PORT,
-    secure: SMTP_PORT === 465,
-    requireTLS: SMTP_PORT === 587,
-    auth: { user: SMTP_USER, pass: SMTP_PASS },
-    tls: { minVersion: 'TLSv1.2' },
-  });
+// Writes a state change (or a same-state detail update) and its side effects:
+// a payment_status_history row, the merchant webhook and open event streams.
+// Every code path that changes a payment's state goes through here.
+// The write only lands if the payment is still in prev's state; otherwise
+// nothing happens and null is returned, and the caller re-reads and decides
+// again (the callback, /recheck and the scheduler can race on one payment).
+async function applyPaymentUpdate(prev, update, { source, actor = null, detail = null }) {
+  if (Object.keys(update).length === 0) return prev;
+  // A final payment leaves the recheck schedule.
+  if (isTerminal(update.state)) update = { ...update, next_check_at: null };
+  if (!(await store.updateIfState(prev.payment_id, prev.state ?? null, update))) return null;
+  const next = { ...prev, ...update };
+  const from = normalizeState(prev.state) || 'created';
+  if (update.state && update.state !== from) {
+    await store.recordStatusChange({
+      payment_id: prev.payment_id, from_state: from, to_state: update.state,
+      status: update.status || null, source, actor, detail,
+    });
+    merchantWebhooks.notifyStateChange(next, prev.state)
+      .catch(e => console.error('merchant webhook enqueue error', prev.payment_id, e.message));
+    if (update.state === 'confirmed') {
+      sendFinalReceipt(next).catch(e => console.error('auto receipt error', prev.payment_id, e.message));
+    }
+  }
+  paymentEvents.notify(prev.payment_id);
+  return next;
+}
+
+// The payment named in the route, or null when it is missing or belongs to another
+// merchant than the caller's API key (both answer 404, so ids don't leak).
+async function scopedPayment(req) {
+  const p = await store.getPayment(req.params.payment_id);
+  return p && paymentInScope(p, authScope(req.auth)) ? p : null;
+}
+
+function smtpConfigured() {
+  return !!(SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS);
 }
-async function sendReceiptEmail({ to, subject, html }) {
-  const tx = makeTransporter();
-  return tx.sendMail({ from: FROM_EMAIL, to, subject, html });
-}
-async function checkPaymentOnForumPay({ payment_id, currency, address }) {
-  const body = new URLSearchParams();
-  body.set('pos_id', POS_ID);
-  body.set('payment_id', payment_id);
-  body.set('currency', currency);
-  body.set('address', address);
-  const resp = await fetch(`${PAY_BASE}/pay/v2/CheckPayment/`, {
-    method: 'POST',
-    headers: { Authorization: basicAuthHeader, 'Content-Type': 'application/x-www-form-urlencoded' },
-    body,
+
+// Email subject and body for a receipt; QR codes travel as inline PNG attachments.
+async function receiptEmailContent(printable, p, l10n = receiptLocalizer(p)) {
+  const brand = receiptBrand(p);
+  const subject = l10n.t('email_subject', { brand: brand.name, payment_id: p.payment_id });
+  if (!printable) return { subject, html: renderPendingReceiptHTML(p, { brand, l10n }), attachments: [] };
+  const codes = [];
+  const html = renderReceiptHTML(printable, {
+    brand,
+    l10n,
+    payment: p,
+    qrImage: (data) => {
+      codes.push(data);
+      return `cid:receipt-qr-${codes.length}`;
+    },
   });
-  const text = await resp.text();
-  let json; try { json = JSON.parse(text); } catch { json = { raw: text }; }
-  console.log(`CheckPayment ${resp.status}: ${text}`);
-  if (!resp.ok) throw new Error(`CheckPayment failed: ${resp.status}`);
-  return json;
+  const attachments = [];
+  for (const [i, data] of codes.entries()) {
+    const png = await qrPng(data);
+    attachments.push({ filename: `qr-${i + 1}.png`, contentType: 'image/png', content: png.toString('base64'), cid: `receipt-qr-${i + 1}` });
+  }
+  return { subject, html, attachments };
+}
+
+// Queues the final receipt for customer_email once per payment. The claim in the
+// store makes concurrent confirmations (callback racing the cron) queue only one;
+// the outbox retries delivery and reports back through onSent/onFailed.
+async function sendFinalReceipt(payment) {
+  if (DISABLE_AUTO_RECEIPT || !payment.customer_email || !outbox.ready) return;
+  if (!(await store.claimReceiptSend(payment.payment_id))) return;
+  try {
+    const printable = await ensurePrintString(payment);
+    if (!printable) throw new Error('no print_string for confirmed payment');
+    const { subject, html, attachments } = await receiptEmailContent(printable, payment);
+    await outbox.enqueue({
+      kind: 'final_receipt',
+      payment_id: payment.payment_id,
+      to: payment.customer_email,
+      subject,
+      html,
+      attachments,
+    });
+  } catch (e) {
+    await store.update(payment.payment_id, { receipt_claimed_at: null, receipt_error: String(e.message || e) });
+    throw e;
+  }
+}
+
+// How often a state write that lost a race is re-read and tried again.
+const STATE_WRITE_ATTEMPTS = 3;
+
+function amountTolerance(currency) {
+  const t = AMOUNT_TOLERANCES?.[String(currency || '').toUpperCase()] ?? AMOUNT_TOLERANCES?.['*'] ?? '0';
+  return String(t);
+}
+
+// Pulls the current state from CheckPayment and applies it through the state machine.
+// Shared by the callback, webhook replay, manual recheck, receipts and the auto-recheck cron.
+// Returns { payment, refused }; payment is null when there is no such local payment.
+async function refreshPaymentFromForumPay({ payment_id, currency, address }, { source, actor = null } = {}) {
+  let prev = await store.getPayment(payment_id);
+  if (!prev) return { payment: null, refused: null };
+  const ck = await forumpay.checkPayment({ payment_id, currency, address });
+  // If another writer changed the state during the round trip, the same answer is
+  // judged again against the new state (which usually refuses it as a regression).
+  for (let attempt = 1; ; attempt++) {
+    const { update, refused } = updateFromCheckPayment(prev, ck, { tolerance: amountTolerance(prev.currency || currency) });
+    if (refused) {
+      console.warn(`CheckPayment ignored for ${payment_id} (${source}): ${refused}`);
+      return { payment: prev, refused };
+    }
+    const payment = await applyPaymentUpdate(prev, update, { source, actor });
+    if (payment) return { payment, refused: null };
+    prev = await store.getPayment(payment_id);
+    if (!prev) return { payment: null, refused: null };
+    if (attempt >= STATE_WRITE_ATTEMPTS) throw new Error(`payment ${payment_id} kept changing while being updated`);
+  }
 }
 async function ensurePrintString(payment) {
   let print_string = payment?.print_string || '';
   if (!print_string && payment?.address && payment?.currency) {
     try {
-      const ck = await checkPaymentOnForumPay({
-        payment_id: payment.payment_id,
-        currency: payment.currency,
-        address: payment.address,
-      });
-      const update = {
-        status: ck.status || ck.state || payment.status,
-        state: ck.state || payment.state,
-        confirmed: ck.confirmed ? 1 : 0,
-        confirmed_time: ck.confirmed_time || payment.confirmed_time,
-        crypto_amount: ck.amount || ck.payment || ck.crypto_amount || payment.crypto_amount,
-        print_string: ck.print_string || '',
-        amount_exchange: ck.amount_exchange || payment.amount_exchange,
-        network_processing_fee: ck.network_processing_fee || payment.network_processing_fee,
-        last_transaction_time: ck.last_transaction_time || payment.last_transaction_time,
-        invoice_date: ck.invoice_date || payment.invoice_date,
-        payer_id: ck.payer_id || payment.payer_id,
-      };
-      await store.update(payment.payment_id, update);
-      print_string = update.print_string || '';
+      const r = await refreshPaymentFromForumPay(
+        { payment_id: payment.payment_id, currency: payment.currency, address: payment.address },
+        { source: 'receipt' }
+      );
+      print_string = r.payment?.print_string || '';
     } catch {}
   }
   return print_string;
 }
-async function buildEmailHtml(payment) {
-  const printable = await ensurePrintString(payment);
-  return printable ? renderReceiptHTML(printable) : renderPendingReceiptHTML(payment);
-}
-const fpHeaders = () => ({ Authorization: 'Basic ' + Buffer.from(`${FP_USER}:${FP_PASS}`).toString('base64') });
 
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
@@ -422,18 +672,70 @@ app.get('/catalog', (_req, res) => {
 });
 
 
-app.get('/payments', async (_req, res) => {
+// Day-only bounds cover the whole UTC day: to=2024-05-01 includes all of May 1st.
+function createdRange(from, to) {
+  const day = /^\d{4}-\d\d-\d\d$/;
+  const parse = (v) => {
+    const d = new Date(day.test(v) ? `${v}T00:00:00Z` : v);
+    if (isNaN(d)) throw new Error(`invalid date '${v}'`);
+    return d;
+  };
+  const range = { created_from: null, created_before: null };
+  if (from) range.created_from = parse(String(from)).toISOString();
+  if (to) {
+    const end = parse(String(to));
+    end.setTime(end.getTime() + (day.test(String(to)) ? 86400000 : 1));
+    range.created_before = end.toISOString();
+  }
+  return range;
+}
+
+// Filters: state (comma-separated), merchant, sid, currency, invoice_currency,
+// from/to (created_at), q (prefix of order_id, payment_id, customer_email, payer_id),
+// amount_match (exact|underpaid|overpaid), follow_up (open|resolved).
+// The body stays a plain array; X-Total-Count and X-Next-Cursor carry paging.
+app.get('/payments', requireMerchant, async (req, res) => {
   try {
-    return res.json(await store.listPayments());
+    const qs = req.query;
+    let range;
+    try {
+      range = createdRange(qs.from, qs.to);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (qs.amount_match && !AMOUNT_MATCHES.includes(String(qs.amount_match))) {
+      return res.status(400).json({ error: `amount_match must be one of ${AMOUNT_MATCHES.join(', ')}` });
+    }
+    if (qs.follow_up && !['open', 'resolved'].includes(String(qs.follow_up))) {
+      return res.status(400).json({ error: 'follow_up must be open or resolved' });
+    }
+    const { rows, total, next_cursor } = await store.searchPayments({
+      scope: authScope(req.auth),
+      states: qs.state ? String(qs.state).split(',').map(normalizeState).filter(Boolean) : null,
+      merchant: qs.merchant ? normalizeMerchantSlug(qs.merchant) : null,
+      sid: qs.sid ? String(qs.sid) : null,
+      currency: qs.currency ? String(qs.currency) : null,
+      invoice_currency: qs.invoice_currency ? String(qs.invoice_currency) : null,
+      q: qs.q ? String(qs.q).trim() : null,
+      amount_match: qs.amount_match ? String(qs.amount_match) : null,
+      follow_up: qs.follow_up ? String(qs.follow_up) : null,
+      cursor: qs.cursor ? String(qs.cursor) : null,
+      limit: Math.max(1, Math.min(parseInt(qs.limit || '200', 10) || 200, 500)),
+      ...range,
+    });
+    res.set('X-Total-Count', String(total));
+    if (next_cursor) res.set('X-Next-Cursor', next_cursor);
+    return res.json(rows);
   } catch (e) {
+    if (e.message === 'invalid cursor') return res.status(400).json({ error: 'invalid cursor' });
     console.error('payments error:', e);
     return res.status(500).json({ error: 'payments failed', detail: e.message });
   }
 });
 
-app.get('/payments/:payment_id', async (req, res) => {
+app.get('/payments/:payment_id', requireMerchant, async (req, res) => {
   try {
-    const p = await store.getPayment(req.params.payment_id);
+    const p = await scopedPayment(req);
     if (!p) return res.status(404).json({ error: 'payment not found', payment_id: req.params.payment_id });
     return res.json(p);
   } catch (e) {
@@ -442,6 +744,47 @@ app.get('/payments/:payment_id', async (req, res) => {
   }
 });
 
+app.get('/payments/:payment_id/history', requireMerchant, async (req, res) => {
+  try {
+    const p = await scopedPayment(req);
+    if (!p) return res.status(404).json({ error: 'payment not found', payment_id: req.params.payment_id });
+    const history = await store.listStatusHistory(p.payment_id);
+    return res.json({ payment_id: p.payment_id, state: p.state, history });
+  } catch (e) {
+    console.error('payment history error:', e);
+    return res.status(500).json({ error: 'payment history failed', detail: e.message });
+  }
+});
+
+// Live status as Server-Sent Events; see paymentEvents.js for the event format.
+// Authenticate with the API key or admin login, or — from a browser EventSource,
+// which can't set headers — with ?token= from POST /payments/:id/events/token.
+// Last-Event-ID (or ?lastEventId=, for clients that can't send it) resumes a stream.
+app.get('/payments/:payment_id/events', requirePaymentStream, async (req, res) => {
+  try {
+    const p = await scopedPayment(req);
+    if (!p) return res.status(404).json({ error: 'payment not found', payment_id: req.params.payment_id });
+    paymentEvents.subscribe(req, res, p.payment_id, req.get('Last-Event-ID') ?? req.query.lastEventId);
+  } catch (e) {
+    console.error('payment events error:', e);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'payment events failed', detail: e.message });
+  }
+});
+
+app.post('/payments/:payment_id/events/token', requireMerchant, async (req, res) => {
+  try {
+    const p = await scopedPayment(req);
+    if (!p) return res.status(404).json({ error: 'payment not found', payment_id: req.params.payment_id });
+    const { token, expires_at } = issueStreamToken(p.payment_id);
+    const url = `/payments/${encodeURIComponent(p.payment_id)}/events?token=${encodeURIComponent(token)}`;
+    return res.json({ payment_id: p.payment_id, token, expires_at, url });
+  } catch (e) {
+    console.error('payment events token error:', e);
+    return res.status(500).json({ error: 'payment events token failed', detail: e.message });
+  }
+});
+
 app.get('/__routes', (_req, res) => {
   const routes = (app._router?.stack || [])
     .filter(r => r.route && r.route.path)
@@ -465,10 +808,12 @@ app.get("/r/:status", async (req, res) => {
 
     if (!merchant) return res.redirect(302, "https://pos.savopay.co/pay/" + encodeURIComponent(payment_id));
 
-    if (status === "success") {
+    // A cancelled payment never lands on the success page, whatever the return URL says.
+    const cancelled = normalizeState(p.state) === "cancelled";
+    if (status === "success" && !cancelled) {
       return res.redirect(302, "https://pos.savopay.co/m/" + encodeURIComponent(merchant) + "/success/" + encodeURIComponent(payment_id));
     }
-    if (status === "cancelled" || status === "canceled" || status === "cancel") {
+    if (cancelled || status === "cancelled" || status === "canceled" || status === "cancel") {
       return res.redirect(302, "https://pos.savopay.co/m/" + encodeURIComponent(merchant) + "/cancelled/" + encodeURIComponent(payment_id));
     }
 
@@ -489,48 +834,45 @@ app.get('/merchants', (_req, res) => {
 
 
 
-app.post('/start-payment', startPaymentLimiter, async (req, res) => {
+const startPaymentIdempotency = idempotency({ store, scope: 'start-payment', ttlSec: IDEMPOTENCY_TTL_SEC });
+
+app.post('/start-payment', startPaymentLimiter, optionalAuth, startPaymentIdempotency, async (req, res) => {
   try {
-    const { invoice_amount='100.00', invoice_currency='USD', currency='USDT', payer_id='walk-in', sid=null, merchant=null, customer_email='', meta_tip_percent=null, meta_tip_amount=null, meta_base_amount=null } = req.body || {};
+    const { invoice_amount='100.00', invoice_currency='USD', currency='USDT', payer_id='walk-in', sid=null, merchant=null, customer_email='', locale=null, meta_tip_percent=null, meta_tip_amount=null, meta_base_amount=null } = req.body || {};
     const order_id = `SVP-TEST-${new Date().toISOString().replace(/[:.]/g, '-')}`;
     const cb_url = CALLBACK_URL ? `${CALLBACK_URL}?token=${encodeURIComponent(WEBHOOK_TOKEN)}` : '';
-    const params = new URLSearchParams();
-    params.set('pos_id', POS_ID);
-    params.set('invoice_amount', String(invoice_amount));
-    params.set('invoice_currency', String(invoice_currency));
-    params.set('currency', String(currency));
-    params.set('payer_ip_address', '203.0.113.10');
-    params.set('payer_id', String(payer_id || 'walk-in'));
-      const resolvedSid = sid ? String(sid) : (merchant ? sidForMerchant(merchant) : null);
-
-      if (merchant && !resolvedSid) {
-        return res.status(400).json({ error: 'Unknown merchant', merchant: String(merchant) });
-      }
-
-      if (resolvedSid && !isAllowedSid(resolvedSid)) {
-        return res.status(403).json({ error: 'sid not allowed' });
-      }
-
-      if (resolvedSid) params.set('sid', String(resolvedSid));
-    params.set('order_id', order_id);
-    if (cb_url) params.set('callback_url', cb_url);
-    const resp = await fetch(`${PAY_BASE}/pay/v2/StartPayment/`, {
-      method: 'POST',
-      headers: { Authorization: basicAuthHeader, 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: params,
+    // A merchant API key pins the payment to its own merchant.
+    const keyMerchant = req.auth?.role === 'merchant' ? req.auth.merchant : null;
+    if (keyMerchant && ((merchant && normalizeMerchantSlug(merchant) !== keyMerchant) || (sid && String(sid) !== String(req.auth.sid)))) {
+      return res.status(403).json({ error: 'merchant not allowed for this api key' });
+    }
+    const slug = keyMerchant || (merchant ? normalizeMerchantSlug(merchant) : null);
+    const resolvedSid = sid ? String(sid) : (slug ? sidForMerchant(slug) : null);
+    if (slug && !resolvedSid) {
+      return res.status(400).json({ error: 'Unknown merchant', merchant: slug });
+    }
+    if (resolvedSid && !isAllowedSid(resolvedSid)) {
+      return res.status(403).json({ error: 'sid not allowed' });
+    }
+    const data = await forumpay.startPayment({
+      invoice_amount: String(invoice_amount),
+      invoice_currency: String(invoice_currency),
+      currency: String(currency),
+      payer_ip_address: '203.0.113.10',
+      payer_id: String(payer_id || 'walk-in'),
+      sid: resolvedSid,
+      order_id,
+      callback_url: cb_url,
     });
-    const text = await resp.text();
-    let data; try { data = JSON.parse(text); } catch { data = { raw: text }; }
-    console.log(`StartPayment ${resp.status}: ${text}`);
-    if (!resp.ok) return res.status(resp.status).json({ error: 'StartPayment failed', detail: data });
     await store.saveStart({
       payment_id: data.payment_id || null,
       order_id, pos_id: POS_ID,
       sid: resolvedSid || null,
-      merchant: merchant ? String(merchant) : null,
+      merchant: slug,
       address: data.address || null,
       currency, invoice_amount, invoice_currency,
       crypto_amount: data.amount || null,
+      crypto_expected: data.amount || null,
       access_url: data.access_url || null,
       access_token: data.access_token || null,
       qr: data.qr || null,
@@ -548,262 +890,902 @@ app.post('/start-payment', startPaymentLimiter, async (req, res) => {
       status: 'Created', state: 'created', confirmed: 0, confirmed_time: null,
       payer_id: String(payer_id || 'walk-in'),
       customer_email: customer_email || null,
+      locale: matchLocale(locale),
       print_string: data.print_string || null,
       created_at: nowIso(),
+      ...recheckSchedule.initial({ created_at: new Date(), wait_time: data.wait_time }),
       amount_exchange: data.amount_exchange || null,
       network_processing_fee: data.network_processing_fee || null,
       last_transaction_time: null, invoice_date: null,
       amount: data.amount || null,
       meta_tip_percent, meta_tip_amount, meta_base_amount,
     });
+    if (data.payment_id) {
+      await store.recordStatusChange({
+        payment_id: data.payment_id, from_state: null, to_state: 'created', status: 'Created',
+        source: 'start-payment', actor: req.ip, detail: { order_id },
+      });
+    }
     return res.json(data);
   } catch (e) {
-    console.error('start-payment error', e);
+    console.error('start-payment error', e instanceof ForumPayError ? e.message : e);
+    if (sendForumPayError(res, e)) return;
     res.status(500).json({ error: 'Internal error', detail: e.message });
   }
 });
 
-app.get('/receipt/:payment_id', async (req, res) => {
-  const p = await store.getPayment(req.params.payment_id);
+// Receipts show what the payment reads show, so they take the same API key or admin
+// login and are scoped the same way.
+// Registered before /receipt/:payment_id, which would otherwise match "<id>.pdf".
+app.get('/receipt/:payment_id.pdf', requireMerchant, async (req, res) => {
+  try {
+    const p = await scopedPayment(req);
+    if (!p) return res.status(404).type('text/plain').send('Not found');
+    const printable = await ensurePrintString(p);
+    const pdf = await renderReceiptPdf({ brand: receiptBrand(p), l10n: requestLocalizer(req, p), print_string: printable, payment: p });
+    res.type('application/pdf')
+      .set('Content-Disposition', `inline; filename="receipt_${p.payment_id}.pdf"`)
+      .send(pdf);
+  } catch (e) {
+    console.error('receipt pdf error', e);
+    res.status(500).type('text/plain').send('receipt pdf failed');
+  }
+});
+
+app.get('/receipt/:payment_id', requireMerchant, async (req, res) => {
+  const p = await scopedPayment(req);
   if (!p) return res.status(404).json({ error: 'Not found' });
   const print_string = await ensurePrintString(p);
   res.json({ payment_id: p.payment_id, print_string });
 });
 
-app.get('/receipt/:payment_id/print', async (req, res) => {
-  const p = await store.getPayment(req.params.payment_id);
+// Raw ESC/POS bytes for a thermal printer. ?width=58|80 (mm), ?codepage=cp437|cp850|cp858|cp1252.
+app.get('/receipt/:payment_id/escpos', requireMerchant, async (req, res) => {
+  try {
+    const widthMm = req.query.width ? parseInt(String(req.query.width), 10) : ESCPOS_WIDTH_MM;
+    const codePage = String(req.query.codepage || ESCPOS_CODEPAGE).toLowerCase();
+    if (widthMm !== 58 && widthMm !== 80) return res.status(400).json({ error: 'width must be 58 or 80' });
+    if (!ESCPOS_CODE_PAGES.includes(codePage)) {
+      return res.status(400).json({ error: `codepage must be one of ${ESCPOS_CODE_PAGES.join(', ')}` });
+    }
+    const p = await scopedPayment(req);
+    if (!p) return res.status(404).json({ error: 'Not found' });
+    const printable = await ensurePrintString(p);
+    const bytes = renderEscPos({ brand: receiptBrand(p), l10n: requestLocalizer(req, p), print_string: printable, payment: p, widthMm, codePage });
+    res.type('application/octet-stream')
+      .set('Content-Disposition', `attachment; filename="receipt_${p.payment_id}.bin"`)
+      .send(bytes);
+  } catch (e) {
+    console.error('receipt escpos error', e);
+    res.status(500).json({ error: 'receipt escpos failed', detail: e.message });
+  }
+});
+
+app.get('/receipt/:payment_id/print', requireMerchant, async (req, res) => {
+  const p = await scopedPayment(req);
   if (!p) return res.status(404).type('text/plain').send('Not found');
   const printable = await ensurePrintString(p);
-  res.type('html').send(printable ? renderReceiptHTML(printable) : renderPendingReceiptHTML(p));
+  const opts = { brand: receiptBrand(p), l10n: requestLocalizer(req, p) };
+  res.type('html').send(printable ? renderReceiptHTML(printable, { ...opts, payment: p }) : renderPendingReceiptHTML(p, opts));
 });
 
-app.post('/payments/:payment_id/email', async (req, res) => {
+app.post('/payments/:payment_id/email', requireMerchant, async (req, res) => {
   try {
-    const { to_email, email } = req.body || {};
+    const { to_email, email, attach_pdf, lang = null } = req.body || {};
     const recipient = to_email || email;
+    const wantPdf = attach_pdf === true || attach_pdf === 'true' || req.query.attach_pdf === 'true';
     if (!recipient) return res.status(400).json({ error: 'to_email is required' });
-    const p = await store.getPayment(req.params.payment_id);
+    if (!outbox.ready) return res.status(500).json({ error: 'SMTP not configured' });
+    const p = await scopedPayment(req);
     if (!p) return res.status(404).json({ error: 'Payment not found' });
-    const html = await buildEmailHtml(p);
-    const info = await sendReceiptEmail({ to: recipient, subject: `${BRAND_NAME} receipt – ${p.payment_id}`, html });
-    res.json({ ok: true, payment_id: p.payment_id, to: recipient, id: info.messageId || null, provisional: !p.confirmed });
+    const printable = await ensurePrintString(p);
+    // The caller is the till, not the recipient, so its Accept-Language is not used.
+    const l10n = receiptLocalizer(p, { lang: lang || req.query.lang, tz: req.query.tz });
+    const { subject, html, attachments } = await receiptEmailContent(printable, p, l10n);
+    if (wantPdf) {
+      const pdf = await renderReceiptPdf({ brand: receiptBrand(p), l10n, print_string: printable, payment: p });
+      attachments.push({ filename: `receipt_${p.payment_id}.pdf`, contentType: 'application/pdf', content: pdf.toString('base64') });
+    }
+    const sent = await outbox.enqueue({
+      kind: 'receipt',
+      payment_id: p.payment_id,
+      to: recipient,
+      subject,
+      html,
+      attachments,
+    });
+    // The outbox sends it shortly; GET /admin/emails shows the outcome.
+    res.status(202).json({
+      ok: true, payment_id: p.payment_id, to: recipient, email_id: sent.email_id, status: sent.status,
+      provisional: !p.confirmed,
+    });
   } catch (e) {
     console.error('email error (/payments/:id/email):', e);
     res.status(500).json({ error: 'Failed to send email', detail: String(e) });
   }
 });
 
-app.get('/report/daily', requireAdmin, async (req, res) => {
-  const date = req.query.date || new Date().toISOString().slice(0, 10);
-  const q = `
-    SELECT
-      COUNT(*) FILTER (WHERE state = 'confirmed') AS confirmed_count,
-      COUNT(*) AS total_count
-    FROM payments
-    WHERE (created_at AT TIME ZONE 'UTC')::date = $1::date
-  `;
-  const { rows } = await store._pool.query(q, [date]);
-  const rowsList = await store.listPayments();
-  res.json({ date, summary: rows[0], rows: rowsList });
-});
-
-app.get('/report/daily.csv', requireAdmin, async (req, res) => {
-  const date = req.query.date || new Date().toISOString().slice(0, 10);
-  const q = `
-    SELECT
-      COUNT(*) FILTER (WHERE state = 'confirmed') AS confirmed_count,
-      COUNT(*) AS total_count
-    FROM payments
-    WHERE (created_at AT TIME ZONE 'UTC')::date = $1::date
-  `;
-  const { rows } = await store._pool.query(q, [date]);
-  const confirmed = rows[0]?.confirmed_count ?? 0;
-  const total = rows[0]?.total_count ?? 0;
-  res.type('text/csv').send(`date,confirmed,total\n${date},${confirmed},${total}\n`);
-});
-
-app.get('/report/range', requireAdmin, async (req, res) => {
-  try {
-    const from = req.query.from || new Date().toISOString().slice(0, 10);
-    const to = req.query.to || from;
-    const q = `
-      SELECT created_at, payment_id, order_id, invoice_amount, invoice_currency,
-             crypto_amount, currency, state, status, customer_email, payer_id,
-             confirmed, confirmed_time
-      FROM payments
-      WHERE (created_at AT TIME ZONE 'UTC')::date BETWEEN $1::date AND $2::date
-      ORDER BY created_at DESC
-    `;
-    const { rows } = await store._pool.query(q, [from, to]);
-    res.json({ from, to, count: rows.length, rows });
+const REPORT_DEFAULT_GROUPS = ['merchant', 'currency', 'invoice_currency', 'state'];
+// Ledger account names/codes for the accounting export profiles; see reportExport.js.
+const ACCOUNTING_ACCOUNTS = safeJsonParse(process.env.ACCOUNTING_ACCOUNTS_JSON || "{}", {});
+const REPORT_TOTAL_COLUMNS = [
+  'count', 'confirmed_count', 'cancelled_count', 'confirmation_rate', 'underpaid_count', 'overpaid_count',
+  'fiat_total', 'crypto_total', 'crypto_received_total', 'network_fee_total', 'tip_total',
+];
+
+// tz defaults to the merchant's profile time zone for merchant keys, else UTC.
+// group_by is a comma-separated subset of REPORT_GROUP_DIMENSIONS. Bad input
+// comes back as { error }.
+function reportParams(req, { from, to }) {
+  const day = /^\d{4}-\d\d-\d\d$/;
+  if (!day.test(from) || !day.test(to)) return { error: 'dates must be YYYY-MM-DD' };
+  const profileTz = req.auth?.role === 'merchant' ? MERCHANT_BRANDS?.[req.auth.merchant]?.time_zone : null;
+  const tz = String(req.query.tz || profileTz || 'UTC');
+  if (!isValidTimeZone(tz)) return { error: `unknown time zone '${tz}'` };
+  const groupBy = req.query.group_by
+    ? String(req.query.group_by).split(',').map(d => d.trim()).filter(Boolean)
+    : REPORT_DEFAULT_GROUPS;
+  const unknown = groupBy.filter(d => !REPORT_GROUP_DIMENSIONS.includes(d));
+  if (unknown.length) return { error: `unknown group_by dimension(s): ${unknown.join(', ')}` };
+  return { from, to, tz, groupBy, scope: authScope(req.auth) };
+}
+
+function ratio(n, d) {
+  return d ? Math.round((n / d) * 10000) / 10000 : null;
+}
+
+// Grouped totals plus an overall summary. Amount totals count confirmed payments
+// only, and are only meaningful within one currency, so fiat/tip totals need
+// invoice_currency in the grouping and crypto/fee totals need currency; otherwise
+// they are null.
+async function groupedReport({ from, to, tz, groupBy, scope }) {
+  const byFiat = groupBy.includes('invoice_currency');
+  const byCrypto = groupBy.includes('currency');
+  const groups = (await store.reportGroups({ from, to, tz, scope, groupBy })).map(g => ({
+    ...g,
+    confirmation_rate: ratio(g.confirmed_count, g.count),
+    fiat_total: byFiat ? g.fiat_total : null,
+    tip_total: byFiat ? g.tip_total : null,
+    crypto_total: byCrypto ? g.crypto_total : null,
+    crypto_received_total: byCrypto ? g.crypto_received_total : null,
+    network_fee_total: byCrypto ? g.network_fee_total : null,
+  }));
+  const sum = (k) => groups.reduce((n, g) => n + g[k], 0);
+  const summary = {
+    total_count: sum('count'),
+    confirmed_count: sum('confirmed_count'),
+    cancelled_count: sum('cancelled_count'),
+    underpaid_count: sum('underpaid_count'),
+    overpaid_count: sum('overpaid_count'),
+  };
+  summary.confirmation_rate = ratio(summary.confirmed_count, summary.total_count);
+  return { summary, groups };
+}
+
+function reportCsv(prefix, groupBy, groups) {
+  const cols = [...groupBy, ...REPORT_TOTAL_COLUMNS];
+  const head = [...Object.keys(prefix), ...cols].join(',');
+  const lines = groups.map(g => [...Object.values(prefix), ...cols.map(c => g[c])].map(csvCell).join(','));
+  return [head, ...lines].join('\n') + '\n';
+}
+
+app.get('/report/daily', requireMerchant, async (req, res) => {
+  try {
+    const date = String(req.query.date || new Date().toISOString().slice(0, 10));
+    const params = reportParams(req, { from: date, to: date });
+    if (params.error) return res.status(400).json({ error: params.error });
+    const { summary, groups } = await groupedReport(params);
+    res.json({ date, tz: params.tz, group_by: params.groupBy, summary, groups });
+  } catch (e) {
+    console.error('report/daily error', e);
+    res.status(500).json({ error: 'daily failed', detail: String(e) });
+  }
+});
+
+app.get('/report/daily.csv', requireMerchant, async (req, res) => {
+  try {
+    const date = String(req.query.date || new Date().toISOString().slice(0, 10));
+    const params = reportParams(req, { from: date, to: date });
+    if (params.error) return res.status(400).type('text/plain').send(params.error);
+    const { groups } = await groupedReport(params);
+    res.type('text/csv')
+      .set('Content-Disposition', `attachment; filename="savopay_daily_${date}.csv"`)
+      .send(reportCsv({ date, tz: params.tz }, params.groupBy, groups));
+  } catch (e) {
+    console.error('report/daily.csv error', e);
+    res.status(500).type('text/plain').send('daily.csv failed');
+  }
+});
+
+// Grouped by default; view=rows lists the individual payments (REPORT_COLUMNS).
+app.get('/report/range', requireMerchant, async (req, res) => {
+  try {
+    const from = String(req.query.from || new Date().toISOString().slice(0, 10));
+    const to = String(req.query.to || from);
+    const params = reportParams(req, { from, to });
+    if (params.error) return res.status(400).json({ error: params.error });
+    if (req.query.view === 'rows') {
+      const rows = await store.listPaymentsInRange(from, to, params.scope, params.tz);
+      return res.json({ from, to, tz: params.tz, count: rows.length, rows });
+    }
+    const { summary, groups } = await groupedReport(params);
+    res.json({ from, to, tz: params.tz, group_by: params.groupBy, summary, groups });
   } catch (e) {
     console.error('report/range error', e);
     res.status(500).json({ error: 'range failed', detail: String(e) });
   }
 });
 
-app.get('/report/range.csv', requireAdmin, async (req, res) => {
+app.get('/report/range.csv', requireMerchant, async (req, res) => {
   try {
-    const from = req.query.from || new Date().toISOString().slice(0, 10);
-    const to = req.query.to || from;
-    const q = `
-      SELECT created_at, payment_id, order_id, invoice_amount, invoice_currency,
-             crypto_amount, currency, state, status, customer_email, payer_id,
-             confirmed, confirmed_time
-      FROM payments
-      WHERE (created_at AT TIME ZONE 'UTC')::date BETWEEN $1::date AND $2::date
-      ORDER BY created_at DESC
-    `;
-    const { rows } = await store._pool.query(q, [from, to]);
-    const cols = ["created_at","payment_id","order_id","invoice_amount","invoice_currency","crypto_amount","currency","state","status","customer_email","payer_id","confirmed","confirmed_time"];
-    const esc = (v) => { let s = v == null ? '' : String(v); if (/[",\n]/.test(s)) s = '"' + s.replace(/"/g, '""') + '"'; return s; };
-    const header = cols.join(',');
-    const lines = rows.map(r => cols.map(c => esc(r[c])).join(','));
-    const csv = [header, ...lines].join('\n');
-    res.type('text/csv').set('Content-Disposition', `attachment; filename="savopay_report_${from}_to_${to}.csv"`).send(csv);
+    const from = String(req.query.from || new Date().toISOString().slice(0, 10));
+    const to = String(req.query.to || from);
+    const params = reportParams(req, { from, to });
+    if (params.error) return res.status(400).type('text/plain').send(params.error);
+    res.type('text/csv').set('Content-Disposition', `attachment; filename="savopay_report_${from}_to_${to}.csv"`);
+    if (req.query.view === 'rows') {
+      const formatter = createExportFormatter({ columns: REPORT_COLUMNS });
+      await streamExport(res, store.streamPaymentsInRange(params), { format: 'csv', formatter });
+      return;
+    }
+    const { groups } = await groupedReport(params);
+    res.send(reportCsv({ from, to, tz: params.tz }, params.groupBy, groups));
   } catch (e) {
     console.error('report/range.csv error', e);
+    if (res.headersSent) return res.destroy(e);
     res.status(500).type('text/plain').send('range.csv failed');
   }
 });
 
+// Streamed row export. format=csv|ndjson; columns=basic|amounts|full or a comma
+// list of EXPORT_COLUMNS; profile=journal|xero|quickbooks emits accounting journal
+// lines for confirmed payments instead of columns.
+app.get('/report/export', requireMerchant, async (req, res) => {
+  try {
+    const from = String(req.query.from || new Date().toISOString().slice(0, 10));
+    const to = String(req.query.to || from);
+    const params = reportParams(req, { from, to });
+    if (params.error) return res.status(400).json({ error: params.error });
+    const format = String(req.query.format || 'csv');
+    if (format !== 'csv' && format !== 'ndjson') return res.status(400).json({ error: 'format must be csv or ndjson' });
+    const profile = req.query.profile ? String(req.query.profile) : null;
+    if (profile && !EXPORT_PROFILES[profile]) {
+      return res.status(400).json({ error: `profile must be one of ${Object.keys(EXPORT_PROFILES).join(', ')}` });
+    }
+    const set = String(req.query.columns || 'basic');
+    const columns = EXPORT_COLUMN_SETS[set] || set.split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = columns.filter(c => !EXPORT_COLUMNS.has(c));
+    if (!profile && (unknown.length || !columns.length)) {
+      return res.status(400).json({ error: `unknown column(s): ${unknown.join(', ') || '(none given)'}` });
+    }
+    const formatter = createExportFormatter({ columns, profile, accounts: ACCOUNTING_ACCOUNTS, tz: params.tz });
+    const name = `savopay_${profile || 'export'}_${from}_to_${to}.${format}`;
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson')
+      .set('Content-Disposition', `attachment; filename="${name}"`);
+    await streamExport(res, store.streamPaymentsInRange(params), { format, formatter });
+  } catch (e) {
+    console.error('report/export error', e);
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: 'export failed', detail: e.message });
+  }
+});
+
+app.get('/admin/schema', requireAdmin, async (_req, res) => {
+  try {
+    res.json(await store.schemaStatus());
+  } catch (e) {
+    console.error('admin/schema error', e);
+    res.status(500).json({ error: 'schema status failed', detail: e.message });
+  }
+});
+
+// ?date=YYYY-MM-DD is shorthand for the whole UTC day; from/to take ISO timestamps.
+function webhookEventFilters(q) {
+  const date = q.date ? String(q.date) : null;
+  return {
+    status: q.status ? String(q.status) : null,
+    payment_id: q.payment_id ? String(q.payment_id) : null,
+    from: q.from ? String(q.from) : (date ? `${date}T00:00:00Z` : null),
+    to: q.to ? String(q.to) : (date ? `${date}T23:59:59.999Z` : null),
+  };
+}
+
+// Rejected callbacks (invalid_token) may be forged and are never replayed.
+async function replayWebhookEvent(ev) {
+  if (ev.status === 'invalid_token') return { replayed: ev.id, ok: false, error: 'Rejected callback is not replayed' };
+  const body = ev.payload || {};
+  const payment_id = body.payment_id || ev.payment_id || null;
+  if (!body.payment_id || !body.currency || !body.address) {
+    const event_id = await store.logWebhookEvent({ payment_id, status: 'bad_request', error: 'Missing fields', payload: body, replay_of: ev.id });
+    return { replayed: ev.id, event_id, ok: false, error: 'Missing fields' };
+  }
+  try {
+    const r = await refreshPaymentFromForumPay(
+      { payment_id: body.payment_id, currency: body.currency, address: body.address },
+      { source: 'replay', actor: `webhook_event:${ev.id}` }
+    );
+    if (!r.payment) {
+      const event_id = await store.logWebhookEvent({ payment_id, status: 'error', error: 'Payment not found', payload: body, replay_of: ev.id });
+      return { replayed: ev.id, event_id, ok: false, error: 'Payment not found' };
+    }
+    const event_id = await store.logWebhookEvent({ payment_id, status: 'updated', error: r.refused, payload: body, replay_of: ev.id });
+    return { replayed: ev.id, event_id, ok: true, state: r.payment.state, ...(r.refused ? { ignored: r.refused } : {}) };
+  } catch (e) {
+    console.error('webhook replay error', ev.id, e.message);
+    const event_id = await store.logWebhookEvent({ payment_id, status: 'error', error: String(e), payload: body, replay_of: ev.id });
+    return { replayed: ev.id, event_id, ok: false, error: e.message };
+  }
+}
+
 app.get('/admin/webhook-events', requireAdmin, async (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
-  const events = await store.listWebhookEvents(limit);
-  res.json({ events });
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    const events = await store.listWebhookEvents({ limit, ...webhookEventFilters(req.query) });
+    res.json({ events });
+  } catch (e) {
+    console.error('admin/webhook-events error', e);
+    res.status(500).json({ error: 'webhook events failed', detail: e.message });
+  }
+});
+
+// Bulk replay: the latest matching event per payment, so one payment is checked once.
+// Events already handled by a successful replay and rejected callbacks are skipped.
+app.post('/admin/webhook-events/replay', requireAdmin, async (req, res) => {
+  try {
+    const opts = { ...req.query, ...(req.body || {}) };
+    const filters = webhookEventFilters({ status: 'error', ...opts });
+    if (filters.status === 'invalid_token') return res.status(400).json({ error: 'rejected callbacks are not replayed' });
+    const limit = Math.min(parseInt(opts.limit || '50', 10), 200);
+    const events = await store.listWebhookEvents({ limit: 500, ...filters, replayable: true });
+    const latest = new Map();
+    for (const ev of events) {
+      const key = ev.payment_id || `event:${ev.id}`;
+      if (!latest.has(key)) latest.set(key, ev);
+    }
+    const picked = [...latest.values()].slice(0, limit);
+    const results = [];
+    for (const ev of picked) results.push(await replayWebhookEvent(ev));
+    res.json({
+      ok: true,
+      filters,
+      matched: events.length,
+      replayed: results.length,
+      failed: results.filter(r => !r.ok).length,
+      results,
+    });
+  } catch (e) {
+    console.error('webhook bulk replay error', e);
+    res.status(500).json({ error: 'bulk replay failed', detail: e.message });
+  }
+});
+
+app.post('/admin/webhook-events/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'invalid event id' });
+    const ev = await store.getWebhookEvent(req.params.id);
+    if (!ev) return res.status(404).json({ error: 'webhook event not found', id: req.params.id });
+    if (ev.status === 'invalid_token') return res.status(409).json({ error: 'rejected callbacks are not replayed', id: ev.id });
+    const result = await replayWebhookEvent(ev);
+    const code = result.ok ? 200 : (result.error === 'Missing fields' ? 422 : 502);
+    res.status(code).json(result);
+  } catch (e) {
+    console.error('webhook replay error', e);
+    res.status(500).json({ error: 'replay failed', detail: e.message });
+  }
+});
+
+// Merchant API keys. The key is returned once, at issue time; only its hash is stored.
+app.post('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const merchant = normalizeMerchantSlug((req.body || {}).merchant);
+    const name = String((req.body || {}).name || '').trim().slice(0, 200) || null;
+    if (!merchant) return res.status(400).json({ error: 'merchant is required' });
+    const sid = sidForMerchant(merchant);
+    if (!sid) return res.status(400).json({ error: 'Unknown merchant', merchant });
+    const key = generateApiKey();
+    const row = await store.createApiKey({ merchant, sid, name, key_prefix: key.slice(0, 12), key_hash: hashApiKey(key) });
+    res.status(201).json({ ...row, key });
+  } catch (e) {
+    console.error('api key issue error', e);
+    res.status(500).json({ error: 'api key issue failed', detail: e.message });
+  }
+});
+
+app.get('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const merchant = req.query.merchant ? normalizeMerchantSlug(req.query.merchant) : null;
+    const limit = Math.min(parseInt(req.query.limit || '200', 10), 1000);
+    res.json({ keys: await store.listApiKeys({ merchant, limit }) });
+  } catch (e) {
+    console.error('api key list error', e);
+    res.status(500).json({ error: 'api key list failed', detail: e.message });
+  }
+});
+
+app.post('/admin/api-keys/:id/revoke', requireAdmin, async (req, res) => {
+  try {
+    const row = await store.revokeApiKey(req.params.id);
+    if (!row) return res.status(404).json({ error: 'api key not found' });
+    res.json({ ok: true, ...row });
+  } catch (e) {
+    console.error('api key revoke error', e);
+    res.status(500).json({ error: 'api key revoke failed', detail: e.message });
+  }
+});
+
+// Settlement reconciliation. The body is the ForumPay export: CSV (text/csv) or
+// JSON. ?from/?to (YYYY-MM-DD, UTC) bound the locally confirmed payments that
+// must appear in the file; they default to the file's first and last dates.
+// Differences up to ?fiat_tolerance (invoice amounts) and ?crypto_tolerance
+// (crypto amounts and fees) still count as equal; crypto_tolerance defaults to
+// the currency's AMOUNT_TOLERANCE_JSON entry.
+const settlementBody = [
+  express.text({ type: ['text/*', 'application/csv'], limit: RECONCILIATION_UPLOAD_LIMIT }),
+  express.json({ limit: RECONCILIATION_UPLOAD_LIMIT }),
+];
+
+app.post('/admin/reconciliations', requireAdmin, settlementBody, async (req, res) => {
+  try {
+    const contentType = String(req.headers['content-type'] || '');
+    const body = typeof req.body === 'string' ? req.body : req.body && Object.keys(req.body).length ? req.body : null;
+    if (!body) return res.status(400).json({ error: 'settlement file is required (CSV or JSON body)' });
+    let rows;
+    try {
+      rows = parseSettlementFile(body, contentType);
+    } catch (e) {
+      return res.status(400).json({ error: 'unreadable settlement file', detail: e.message });
+    }
+    if (!rows.length) return res.status(400).json({ error: 'settlement file has no rows' });
+    const unmatchable = rows.filter(r => !r.payment_id && !r.order_id).map(r => r.line);
+    if (unmatchable.length === rows.length) {
+      return res.status(400).json({ error: 'no payment_id or order_id column found' });
+    }
+
+    const day = /^\d{4}-\d\d-\d\d$/;
+    const dates = rows.map(r => r.date).filter(Boolean).sort();
+    const from = req.query.from ? String(req.query.from) : dates.length ? dates[0].slice(0, 10) : null;
+    const to = req.query.to ? String(req.query.to) : dates.length ? dates[dates.length - 1].slice(0, 10) : null;
+    if ((from && !day.test(from)) || (to && !day.test(to))) return res.status(400).json({ error: 'dates must be YYYY-MM-DD' });
+    const decimal = /^\d+(\.\d+)?$/;
+    const fiatTolerance = req.query.fiat_tolerance != null ? String(req.query.fiat_tolerance) : '0';
+    const cryptoTolerance = req.query.crypto_tolerance != null ? String(req.query.crypto_tolerance) : null;
+    if (!decimal.test(fiatTolerance) || (cryptoTolerance != null && !decimal.test(cryptoTolerance))) {
+      return res.status(400).json({ error: 'fiat_tolerance and crypto_tolerance must be non-negative decimals' });
+    }
+    const tolerance = { fiat: fiatTolerance, crypto: (currency) => cryptoTolerance ?? amountTolerance(currency) };
+
+    const payments = await store.findPaymentsByReference({
+      payment_ids: [...new Set(rows.map(r => r.payment_id).filter(Boolean))],
+      order_ids: [...new Set(rows.map(r => r.order_id).filter(Boolean))],
+    });
+    const confirmedInPeriod = [];
+    if (from && to) {
+      for await (const p of store.streamPaymentsInRange({ from, to })) {
+        if (p.state === 'confirmed') confirmedInPeriod.push(p);
+      }
+    }
+    const { summary, items } = reconcile({ rows, payments, confirmedInPeriod, tolerance });
+    if (unmatchable.length) summary.unmatchable_lines = unmatchable;
+    // The run's tolerance column holds the fiat one; the crypto ones used go here.
+    const currencies = [...new Set([...rows.map(r => r.currency), ...payments.map(p => p.currency)].filter(Boolean))];
+    summary.crypto_tolerance = Object.fromEntries(currencies.map(c => [String(c).toUpperCase(), tolerance.crypto(c)]));
+
+    const run = await store.createReconciliationRun({
+      source_name: String(req.query.name || req.headers['x-file-name'] || '').slice(0, 200) || null,
+      format: typeof body === 'string' && !/^\s*[[{]/.test(body) ? 'csv' : 'json',
+      period_from: from && to ? from : null,
+      period_to: from && to ? to : null,
+      tolerance: fiatTolerance,
+      actor: req.ip,
+      summary,
+      items,
+    });
+    res.status(201).json({ ...run, issues: items.filter(it => it.kind !== 'matched') });
+  } catch (e) {
+    console.error('reconciliation error', e);
+    res.status(500).json({ error: 'reconciliation failed', detail: e.message });
+  }
+});
+
+app.get('/admin/reconciliations', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    res.json({ runs: await store.listReconciliationRuns({ limit }) });
+  } catch (e) {
+    console.error('reconciliation list error', e);
+    res.status(500).json({ error: 'reconciliation list failed', detail: e.message });
+  }
+});
+
+const RECONCILIATION_CSV_COLUMNS = [
+  'kind', 'payment_id', 'order_id', 'issues', 'line', 'settlement_date', 'local_state', 'local_created_at',
+  'local_invoice_amount', 'settlement_invoice_amount', 'local_invoice_currency', 'settlement_invoice_currency',
+  'local_crypto_amount', 'settlement_crypto_amount', 'local_currency', 'settlement_currency',
+  'local_network_processing_fee', 'settlement_fee',
+];
+
+function reconciliationCsvRow(it) {
+  const s = it.settlement || {};
+  const l = it.local || {};
+  return {
+    kind: it.kind,
+    payment_id: it.payment_id,
+    order_id: it.order_id,
+    issues: (it.issues || []).map(i => `${i.field}: ${i.local ?? ''} != ${i.settlement ?? ''}`).join('; '),
+    line: s.line,
+    settlement_date: s.date,
+    local_state: l.state,
+    local_created_at: l.created_at,
+    local_invoice_amount: l.invoice_amount,
+    settlement_invoice_amount: s.invoice_amount,
+    local_invoice_currency: l.invoice_currency,
+    settlement_invoice_currency: s.invoice_currency,
+    local_crypto_amount: l.crypto_amount,
+    settlement_crypto_amount: s.crypto_amount,
+    local_currency: l.currency,
+    settlement_currency: s.currency,
+    local_network_processing_fee: l.network_processing_fee,
+    settlement_fee: s.fee,
+  };
+}
+
+// Registered before /:id so the .csv suffix is not read as part of the id.
+app.get('/admin/reconciliations/:id.csv', requireAdmin, async (req, res) => {
+  try {
+    const run = /^\d+$/.test(req.params.id) ? await store.getReconciliationRun(req.params.id) : null;
+    if (!run) return res.status(404).json({ error: 'reconciliation not found' });
+    const items = await store.listReconciliationItems(run.id, { kind: req.query.kind ? String(req.query.kind) : null });
+    const lines = [RECONCILIATION_CSV_COLUMNS.join(',')];
+    for (const it of items) {
+      const row = reconciliationCsvRow(it);
+      lines.push(RECONCILIATION_CSV_COLUMNS.map(c => csvCell(row[c])).join(','));
+    }
+    res.type('text/csv')
+      .set('Content-Disposition', `attachment; filename="savopay_reconciliation_${run.id}.csv"`)
+      .send(lines.join('\n'));
+  } catch (e) {
+    console.error('reconciliation export error', e);
+    res.status(500).json({ error: 'reconciliation export failed', detail: e.message });
+  }
+});
+
+app.get('/admin/reconciliations/:id', requireAdmin, async (req, res) => {
+  try {
+    const run = /^\d+$/.test(req.params.id) ? await store.getReconciliationRun(req.params.id) : null;
+    if (!run) return res.status(404).json({ error: 'reconciliation not found' });
+    const items = await store.listReconciliationItems(run.id, { kind: req.query.kind ? String(req.query.kind) : null });
+    res.json({ ...run, items });
+  } catch (e) {
+    console.error('reconciliation get error', e);
+    res.status(500).json({ error: 'reconciliation get failed', detail: e.message });
+  }
+});
+
+app.get('/admin/emails', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    const emails = await store.listEmails({
+      limit,
+      status: req.query.status ? String(req.query.status) : null,
+      payment_id: req.query.payment_id ? String(req.query.payment_id) : null,
+    });
+    res.json({ transport: outbox.transportName, emails });
+  } catch (e) {
+    console.error('admin/emails error', e);
+    res.status(500).json({ error: 'emails failed', detail: e.message });
+  }
+});
+
+app.post('/admin/emails/:id/resend', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'invalid email id' });
+    const result = await outbox.resend(req.params.id);
+    if (!result) return res.status(404).json({ error: 'email not found', id: req.params.id });
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (e) {
+    console.error('email resend error', e);
+    res.status(500).json({ error: 'resend failed', detail: e.message });
+  }
+});
+
+app.get('/admin/merchant-webhooks/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    const deliveries = await store.listWebhookDeliveries({
+      limit,
+      status: req.query.status ? String(req.query.status) : null,
+      merchant: req.query.merchant ? normalizeMerchantSlug(req.query.merchant) : null,
+      payment_id: req.query.payment_id ? String(req.query.payment_id) : null,
+    });
+    res.json({ deliveries });
+  } catch (e) {
+    console.error('admin/merchant-webhooks error', e);
+    res.status(500).json({ error: 'deliveries failed', detail: e.message });
+  }
+});
+
+app.get('/admin/merchant-webhooks/deliveries/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'invalid delivery id' });
+    const d = await store.getWebhookDelivery(req.params.id);
+    if (!d) return res.status(404).json({ error: 'delivery not found', id: req.params.id });
+    res.json(d);
+  } catch (e) {
+    console.error('admin/merchant-webhooks error', e);
+    res.status(500).json({ error: 'delivery failed', detail: e.message });
+  }
+});
+
+app.post('/admin/merchant-webhooks/deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'invalid delivery id' });
+    const result = await merchantWebhooks.redeliver(req.params.id);
+    if (!result) return res.status(404).json({ error: 'delivery not found', id: req.params.id });
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (e) {
+    console.error('redeliver error', e);
+    res.status(500).json({ error: 'redeliver failed', detail: e.message });
+  }
+});
+
+// Redelivers every failed delivery, optionally for one merchant.
+app.post('/admin/merchant-webhooks/redeliver-failed', requireAdmin, async (req, res) => {
+  try {
+    const merchant = (req.body || {}).merchant || req.query.merchant;
+    const failed = await store.listWebhookDeliveries({
+      limit: 200, status: 'failed', merchant: merchant ? normalizeMerchantSlug(merchant) : null,
+    });
+    const results = [];
+    for (const d of failed) results.push(await merchantWebhooks.redeliver(d.id));
+    res.json({ ok: true, redelivered: results.length, succeeded: results.filter(r => r.ok).length, results });
+  } catch (e) {
+    console.error('redeliver-failed error', e);
+    res.status(500).json({ error: 'redeliver failed', detail: e.message });
+  }
 });
 
 app.post('/api/forumpay/callback', async (req, res) => {
-  const token = req.query.token || '';
   const body = req.body || {};
   const payment_id = body.payment_id || null;
-  if (!WEBHOOK_TOKEN || token !== WEBHOOK_TOKEN) {
-    await store.logWebhookEvent({ payment_id, status: 'invalid_token', error: 'Invalid token', payload: body });
+  const v = verifyWebhook(req);
+  if (!v.ok) {
+    await store.logWebhookEvent({ payment_id, status: 'invalid_token', auth: v.auth, error: v.reason, payload: body });
     return res.status(403).json({ error: 'Invalid token' });
   }
+  if (v.auth === 'rotated_key') console.warn(`webhook accepted with rotated ${v.method} secret #${v.key_index}`);
+  const auth = v.auth;
   if (!body.payment_id || !body.currency || !body.address) {
-    await store.logWebhookEvent({ payment_id, status: 'bad_request', error: 'Missing fields', payload: body });
+    await store.logWebhookEvent({ payment_id, status: 'bad_request', auth, error: 'Missing fields', payload: body });
     return res.status(400).json({ error: 'Missing fields', need: ['payment_id', 'currency', 'address'] });
   }
   try {
-    const ck = await checkPaymentOnForumPay({ payment_id: body.payment_id, currency: body.currency, address: body.address });
-    const update = {
-      status: ck.status || ck.state || null,
-      state: ck.state || null,
-      confirmed: ck.confirmed ? 1 : 0,
-      confirmed_time: ck.confirmed_time || null,
-      crypto_amount: ck.amount || ck.payment || ck.crypto_amount || null,
-      print_string: ck.print_string || null,
-      amount_exchange: ck.amount_exchange || null,
-      network_processing_fee: ck.network_processing_fee || null,
-      last_transaction_time: ck.last_transaction_time || null,
-      invoice_date: ck.invoice_date || null,
-      payer_id: ck.payer_id || null,
-    };
-    await store.update(body.payment_id, update);
-    await store.logWebhookEvent({ payment_id, status: 'updated', payload: body, error: null });
+    const r = await refreshPaymentFromForumPay(
+      { payment_id: body.payment_id, currency: body.currency, address: body.address },
+      { source: 'callback', actor: `webhook:${v.method}` }
+    );
+    if (!r.payment) {
+      await store.logWebhookEvent({ payment_id, status: 'error', auth, error: 'Payment not found', payload: body });
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    await store.logWebhookEvent({ payment_id, status: 'updated', auth, payload: body, error: r.refused });
     res.json({ ok: true });
   } catch (e) {
-    await store.logWebhookEvent({ payment_id, status: 'error', error: String(e), payload: body });
-    console.error('callback error', e);
+    await store.logWebhookEvent({ payment_id, status: 'error', auth, error: String(e), payload: body });
+    console.error('callback error', e instanceof ForumPayError ? e.message : e);
+    if (sendForumPayError(res, e)) return;
     res.status(500).json({ error: 'Internal error', detail: e.message });
   }
 });
 
-app.post('/payments/:payment_id/recheck', async (req, res) => {
+app.post('/payments/:payment_id/cancel', requireMerchant, async (req, res) => {
   try {
     const payment_id = req.params.payment_id;
-    const saved = await store.getPayment(payment_id);
+    const reason = String((req.body || {}).reason || '').trim().slice(0, 500) || 'cancelled by cashier';
+    const saved = await scopedPayment(req);
     if (!saved) return res.status(404).json({ error: 'Payment not found' });
-    const ck = await checkPaymentOnForumPay({ payment_id, currency: saved.currency, address: saved.address });
-    const update = {
-      status: ck.status || ck.state || null,
-      state: ck.state || null,
-      confirmed: ck.confirmed ? 1 : 0,
-      confirmed_time: ck.confirmed_time || null,
-      crypto_amount: ck.amount || ck.payment || ck.crypto_amount || null,
-      print_string: ck.print_string || null,
-      amount_exchange: ck.amount_exchange || null,
-      network_processing_fee: ck.network_processing_fee || null,
-      last_transaction_time: ck.last_transaction_time || null,
-      invoice_date: ck.invoice_date || null,
-      payer_id: ck.payer_id || null,
-    };
-    await store.update(payment_id, update);
-    res.json({ ok: true, state: update.state, confirmed: update.confirmed, crypto_amount: update.crypto_amount });
+    const state = normalizeState(saved.state) || 'created';
+    if (state === 'cancelled') {
+      return res.json({ ok: true, payment_id, state, already_cancelled: true, cancel_reason: saved.cancel_reason || null });
+    }
+    if (!canTransition(state, 'cancelled')) {
+      return res.status(409).json({ error: 'Payment cannot be cancelled', payment_id, state });
+    }
+    if (!saved.currency || !saved.address) {
+      return res.status(409).json({ error: 'Payment has no currency/address to cancel with ForumPay', payment_id });
+    }
+    await forumpay.cancelPayment({ payment_id, currency: saved.currency, address: saved.address, reason });
+    const p = await applyPaymentUpdate(saved, {
+      state: 'cancelled',
+      status: 'Cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancel_reason: reason,
+    }, { source: 'cancel', actor: req.ip, detail: { reason } });
+    if (!p) {
+      const current = await store.getPayment(payment_id);
+      return res.status(409).json({ error: 'Payment changed while cancelling', payment_id, state: normalizeState(current?.state) || 'created' });
+    }
+    res.json({ ok: true, payment_id, state: p.state, cancelled_at: p.cancelled_at, cancel_reason: p.cancel_reason });
+  } catch (e) {
+    console.error('cancel error', e instanceof ForumPayError ? e.message : e);
+    if (sendForumPayError(res, e)) return;
+    res.status(500).json({ error: 'cancel failed', detail: e.message });
+  }
+});
+
+// Clears an underpayment (or other) follow-up flag once staff have dealt with it.
+app.post('/payments/:payment_id/follow-up/resolve', requireMerchant, async (req, res) => {
+  try {
+    const saved = await scopedPayment(req);
+    if (!saved) return res.status(404).json({ error: 'Payment not found' });
+    if (!saved.follow_up) return res.status(409).json({ error: 'Payment has no follow-up', payment_id: saved.payment_id });
+    if (saved.follow_up_resolved_at) {
+      return res.json({ ok: true, payment_id: saved.payment_id, follow_up: saved.follow_up, already_resolved: true, follow_up_resolved_at: saved.follow_up_resolved_at });
+    }
+    const note = String((req.body || {}).note || '').trim().slice(0, 500) || null;
+    const update = { follow_up_resolved_at: new Date().toISOString(), follow_up_note: note };
+    if (!(await applyPaymentUpdate(saved, update, { source: 'follow-up', actor: req.ip }))) {
+      return res.status(409).json({ error: 'Payment changed while resolving', payment_id: saved.payment_id });
+    }
+    res.json({ ok: true, payment_id: saved.payment_id, follow_up: saved.follow_up, ...update });
+  } catch (e) {
+    console.error('follow-up resolve error', e.message);
+    res.status(500).json({ error: 'follow-up resolve failed', detail: e.message });
+  }
+});
+
+app.post('/payments/:payment_id/recheck', requireMerchant, async (req, res) => {
+  try {
+    const payment_id = req.params.payment_id;
+    const saved = await scopedPayment(req);
+    if (!saved) return res.status(404).json({ error: 'Payment not found' });
+    const { payment: p, refused } = await refreshPaymentFromForumPay(
+      { payment_id, currency: saved.currency, address: saved.address },
+      { source: 'recheck', actor: req.ip }
+    );
+    res.json({
+      ok: true, state: p.state, confirmed: p.confirmed, crypto_amount: p.crypto_amount,
+      crypto_received: p.crypto_received ?? null, amount_match: p.amount_match ?? null,
+      ...(refused ? { ignored: refused } : {}),
+    });
   } catch (e) {
-    console.error('recheck error', e);
+    console.error('recheck error', e instanceof ForumPayError ? e.message : e);
+    if (sendForumPayError(res, e)) return;
     res.status(500).json({ error: 'recheck failed', detail: e.message });
   }
 });
 
 app.get('/api/health', async (_req, res) => {
   try {
-    const r = await fetch(`${FP_BASE}/GetSubAccounts/`, { headers: fpHeaders() });
-    const parsed = await parseMaybeJson(r);
-    if (r.ok && parsed.kind === 'json') return res.json({ ok: true, status: r.status, data: parsed.data });
-    res.status(r.status || 502).json({
-      ok: false, status: r.status,
+    const data = await forumpay.getSubAccounts();
+    res.json({ ok: true, data, breaker: forumpay.breakerState() });
+  } catch (e) {
+    if (!(e instanceof ForumPayError)) return res.status(500).json({ ok: false, error: String(e) });
+    const status = e.code === 'circuit_open' ? 503 : e.code === 'timeout' ? 504 : 502;
+    res.status(status).json({
+      ok: false, code: e.code, upstream_status: e.status,
       note: 'Prod Ping is unreliable; this hits GetSubAccounts.',
-      preview: parsed.kind === 'html' ? parsed.data.slice(0, 500) : parsed.data,
+      preview: e.detail,
+      breaker: forumpay.breakerState(),
     });
-  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+  }
 });
 
 app.get('/api/subaccounts', async (_req, res) => {
   try {
-    const r = await fetch(`${FP_BASE}/GetSubAccounts/`, { headers: fpHeaders() });
-    const parsed = await parseMaybeJson(r);
-    if (r.ok && parsed.kind === 'json') return res.json(parsed.data);
-    res.status(r.status || 502).json({ error: 'GetSubAccounts failed', preview: parsed.kind === 'html' ? parsed.data.slice(0, 500) : parsed.data });
-  } catch (e) { res.status(500).json({ error: 'GetSubAccounts error', details: String(e) }); }
+    res.json(await forumpay.getSubAccounts());
+  } catch (e) {
+    if (sendForumPayError(res, e)) return;
+    res.status(500).json({ error: 'GetSubAccounts error', details: String(e) });
+  }
 });
 
 app.get('/api/subaccount', async (req, res) => {
   const sid = req.query.sid;
   if (!sid) return res.status(400).json({ error: 'Missing sid query param' });
   try {
-    const url = new URL(`${FP_BASE}/GetSubAccount/`);
-    url.searchParams.set('sid', sid);
-    const r = await fetch(url, { headers: fpHeaders() });
-    const parsed = await parseMaybeJson(r);
-    if (r.ok && parsed.kind === 'json') return res.json(parsed.data);
-    res.status(r.status || 502).json({ error: 'GetSubAccount failed', preview: parsed.kind === 'html' ? parsed.data.slice(0, 500) : parsed.data });
-  } catch (e) { res.status(500).json({ error: 'GetSubAccount error', details: String(e) }); }
+    res.json(await forumpay.getSubAccount(String(sid)));
+  } catch (e) {
+    if (sendForumPayError(res, e)) return;
+    res.status(500).json({ error: 'GetSubAccount error', details: String(e) });
+  }
 });
 
 app.get('/', (_req, res) => {
   res.type('text').send('SavoPay API is running. Try /health, /catalog, /payments, /start-payment, /report/range, or /api/health');
 });
 
-if (!DISABLE_AUTO_RECHECK) {
-  setInterval(async () => {
-    try {
-      const pendings = await store.listPendingOlderThan(PENDING_MIN_AGE_SEC, 10);
-      for (const p of pendings) {
-        try {
-          const ck = await checkPaymentOnForumPay({ payment_id: p.payment_id, currency: p.currency, address: p.address });
-          await store.update(p.payment_id, {
-            status: ck.status || ck.state || null,
-            state: ck.state || null,
-            confirmed: ck.confirmed ? 1 : 0,
-            confirmed_time: ck.confirmed_time || null,
-            crypto_amount: ck.amount || ck.payment || ck.crypto_amount || null,
-            print_string: ck.print_string || null,
-            amount_exchange: ck.amount_exchange || null,
-            network_processing_fee: ck.network_processing_fee || null,
-            last_transaction_time: ck.last_transaction_time || null,
-            invoice_date: ck.invoice_date || null,
-            payer_id: ck.payer_id || null,
-          });
-        } catch (e) {
-          console.error('cron check error', p.payment_id, e.message);
-        }
-      }
-    } catch {}
-  }, CRON_RECHECK_MS);
+// One scheduled recheck: refresh from CheckPayment, then book the next check, or
+// expire the payment if that was the final one and it is still open. Returns
+// 'closed', 'rescheduled' or 'expired'; a failed check is rescheduled (or parked
+// with a check_failed follow-up once it keeps failing past expiry) and rethrown
+// so the scheduler counts it. Schedule writes only land while the payment is in
+// the state they were computed from, so a callback that closes it meanwhile wins.
+async function runScheduledRecheck(p) {
+  const now = new Date();
+  let current;
+  try {
+    const r = await refreshPaymentFromForumPay(
+      { payment_id: p.payment_id, currency: p.currency, address: p.address },
+      { source: 'cron' }
+    );
+    current = r.payment;
+  } catch (e) {
+    const { park, update } = recheckSchedule.afterError(p, now);
+    if (park) {
+      console.warn(`recheck of ${p.payment_id} stopped after ${update.late_check_failures} failed checks past expiry`);
+      if (!p.follow_up) Object.assign(update, { follow_up: 'check_failed', follow_up_at: now.toISOString() });
+    }
+    await store.updateIfState(p.payment_id, p.state ?? null, update);
+    throw e;
+  }
+  for (let attempt = 1; ; attempt++) {
+    if (!current || isTerminal(current.state)) return 'closed';
+    const next = recheckSchedule.afterCheck(current, now);
+    if (!next.expire) {
+      await store.updateIfState(p.payment_id, current.state ?? null, next.update);
+      return 'rescheduled';
+    }
+    const expires_at = recheckSchedule.expiresAt(current).toISOString();
+    const update = {
+      state: 'expired',
+      status: 'Expired',
+      expires_at,
+      last_checked_at: now.toISOString(),
+      check_count: (Number(current.check_count) || 0) + 1,
+    };
+    // Part of the amount arrived before expiry: someone has to settle it with the customer.
+    if (current.amount_match === 'underpaid' && !current.follow_up) {
+      Object.assign(update, { follow_up: 'underpaid', follow_up_at: now.toISOString() });
+    }
+    // Only expires a payment that is still in the open state it was read in.
+    if (await applyPaymentUpdate(current, update, { source: 'expiry', detail: { expires_at } })) return 'expired';
+    if (attempt >= STATE_WRITE_ATTEMPTS) throw new Error(`payment ${p.payment_id} kept changing while expiring`);
+    current = await store.getPayment(p.payment_id);
+  }
 }
 
+const recheckScheduler = createRecheckScheduler({
+  store,
+  check: runScheduledRecheck,
+  instanceId: SCHEDULER_INSTANCE_ID,
+  intervalMs: CRON_RECHECK_MS,
+  jitterMs: SCHEDULER_JITTER_MS,
+  batchSize: SCHEDULER_BATCH_SIZE,
+  concurrency: SCHEDULER_CONCURRENCY,
+  leaseSec: SCHEDULER_LEASE_SEC,
+});
+
+// Scheduler health: this instance's loop, every instance's last/next run, the
+// due backlog and how late its oldest check is, and recent runs and failures.
+app.get('/admin/scheduler', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10), 500);
+    const [jobs, backlog, runs, failures] = await Promise.all([
+      store.listSchedulerJobs(),
+      store.recheckBacklog(),
+      store.listSchedulerRuns({ limit }),
+      store.listSchedulerRuns({ failedOnly: true, limit: 20 }),
+    ]);
+    const oldest = backlog.oldest_due_at ? new Date(backlog.oldest_due_at) : null;
+    res.json({
+      enabled: !DISABLE_AUTO_RECHECK,
+      instance: recheckScheduler.status(),
+      jobs,
+      backlog: { ...backlog, lag_ms: oldest ? Math.max(0, Date.now() - oldest.getTime()) : 0 },
+      runs,
+      failures,
+    });
+  } catch (e) {
+    console.error('admin/scheduler error', e);
+    res.status(500).json({ error: 'scheduler status failed', detail: e.message });
+  }
+});
+
+if (!DISABLE_AUTO_RECHECK) recheckScheduler.start();
+
+if (Object.keys(MERCHANT_WEBHOOKS || {}).length) merchantWebhooks.start(MERCHANT_WEBHOOK_INTERVAL_MS);
+outbox.start(EMAIL_OUTBOX_INTERVAL_MS);
+
 app.listen(PORT, () => {
   console.log('ENV CHECK', {
     node_env: process.env.NODE_ENV,
@@ -812,17 +1794,30 @@ app.listen(PORT, () => {
     pay_secret_present: !!PAY_SECRET,
     pos_id: POS_ID,
     callback_url: CALLBACK_URL,
-    webhook_token_present: !!WEBHOOK_TOKEN,
+    webhook_token_count: WEBHOOK_TOKENS.length,
+    webhook_hmac_secret_count: WEBHOOK_HMAC_SECRETS.length,
+    webhook_require_signature: WEBHOOK_REQUIRE_SIGNATURE,
     dash_api_base: FP_BASE,
     dash_user_present: !!FP_USER,
     dash_pass_present: !!FP_PASS,
     port: String(PORT),
+    store: store.kind,
     allowed_origin_list: allowedOrigins,
-    smtp_present: !!(SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS),
+    smtp_present: smtpConfigured(),
+    email_transport: outbox.transportName,
+    auto_receipt_disabled: DISABLE_AUTO_RECEIPT,
     cron_ms: CRON_RECHECK_MS,
     pending_min_age_sec: PENDING_MIN_AGE_SEC,
+    recheck: { RECHECK_BACKOFF_SEC, PAYMENT_TTL_SEC, PAYMENT_EXPIRY_GRACE_SEC, RECHECK_MAX_LATE_FAILURES },
+    scheduler: recheckScheduler.status(),
+    payment_events: { ...paymentEvents.status(), stream_token_secret_present: !!process.env.STREAM_TOKEN_SECRET },
+    idempotency_ttl_sec: IDEMPOTENCY_TTL_SEC,
+    merchant_webhooks: Object.keys(MERCHANT_WEBHOOKS || {}),
     auto_recheck_disabled: DISABLE_AUTO_RECHECK,
-    brand: { BRAND_NAME, BRAND_LOGO_PATH, BRAND_ADDRESS, BRAND_SUPPORT_EMAIL, BRAND_VAT },
+    brand: { BRAND_NAME, BRAND_LOGO_PATH, BRAND_ADDRESS, BRAND_SUPPORT_EMAIL, BRAND_VAT, BRAND_FOOTER },
+    merchant_brands: Object.keys(MERCHANT_BRANDS || {}),
+    receipt_locale: { RECEIPT_LOCALE, RECEIPT_TIME_ZONE },
+    escpos: { ESCPOS_WIDTH_MM, ESCPOS_CODEPAGE },
   });
   console.log(`SavoPay running at http://localhost:${PORT}`);
 });
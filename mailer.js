@@ -0,0 +1,167 @@
+// mailer.js — email transports and the persistent outbox
+//
+// Messages are written to email_outbox and then sent by the outbox worker,
+// which retries failures with exponential backoff. Transports share one
+// interface, send({ from, to, subject, html, attachments }) -> { messageId }, and
+// say whether a sent message actually reaches the recipient (`delivers`):
+//   smtp  nodemailer over SMTP (one pooled connection set per process)
+//   sink  writes each message as a JSON file, for development and tests
+//   log   prints a one-line summary and drops the message
+// sink and log are only used when EMAIL_TRANSPORT names them.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+export function createSmtpTransport({ host, port, user, pass }) {
+  if (!host || !port || !user || !pass) throw new Error('SMTP not configured');
+  const tx = nodemailer.createTransport({
+    pool: true,
+    host,
+    port,
+    secure: port === 465,
+    requireTLS: port === 587,
+    auth: { user, pass },
+    tls: { minVersion: 'TLSv1.2' },
+  });
+  return {
+    name: 'smtp',
+    delivers: true,
+    async send(msg) {
+      const info = await tx.sendMail(msg);
+      return { messageId: info.messageId || null };
+    },
+  };
+}
+
+export function createSinkTransport({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    name: 'sink',
+    delivers: false,
+    async send(msg) {
+      const messageId = `<${crypto.randomUUID()}@sink.local>`;
+      const file = path.join(dir, `${Date.now()}-${messageId.slice(1, 9)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ messageId, ...msg }, null, 2));
+      return { messageId };
+    },
+  };
+}
+
+export function createLogTransport() {
+  return {
+    name: 'log',
+    delivers: false,
+    async send(msg) {
+      const messageId = `<${crypto.randomUUID()}@log.local>`;
+      console.log(`email (log transport) to=${msg.to} subject="${msg.subject}" attachments=${(msg.attachments || []).length}`);
+      return { messageId };
+    },
+  };
+}
+
+// Picks a transport by name. 'auto' means SMTP when it is configured and null
+// otherwise: the outbox then refuses new mail instead of pretending to send it.
+export function createTransport(name, { smtp, sinkDir }) {
+  const smtpReady = !!(smtp.host && smtp.port && smtp.user && smtp.pass);
+  if ((name === 'auto' || !name) && !smtpReady) return null;
+  const pick = name === 'auto' || !name ? 'smtp' : name;
+  if (pick === 'smtp') return createSmtpTransport(smtp);
+  if (pick === 'sink') return createSinkTransport({ dir: sinkDir });
+  if (pick === 'log') return createLogTransport();
+  throw new Error(`unknown EMAIL_TRANSPORT '${name}'`);
+}
+
+// Attachments are stored as { filename, contentType, content: <base64>, cid? };
+// a cid makes the attachment an inline image the html can reference as "cid:<cid>".
+function toNodemailerAttachments(list) {
+  return (list || []).map(a => ({
+    filename: a.filename,
+    contentType: a.contentType,
+    content: Buffer.from(a.content, 'base64'),
+    ...(a.cid ? { cid: a.cid } : {}),
+  }));
+}
+
+// onSent(email, { messageId, delivered }) and onFailed(email, error, { final }) let
+// callers mirror the outcome elsewhere (e.g. receipt fields on the payment);
+// delivered is false for transports that don't reach the recipient.
+// Without a transport (transport: null) enqueue throws and nothing is sent.
+export function createOutbox({
+  store,
+  transport,
+  from,
+  maxAttempts = 6,
+  baseDelaySec = 60,
+  maxDelaySec = 6 * 3600,
+  leaseSec = 120,
+  onSent = async () => {},
+  onFailed = async () => {},
+}) {
+  const backoffSec = (attempts) => Math.min(maxDelaySec, baseDelaySec * 2 ** (attempts - 1));
+
+  async function send(email) {
+    const attempt = email.attempts + 1;
+    try {
+      const { messageId } = await transport.send({
+        from,
+        to: email.to_address,
+        subject: email.subject,
+        html: email.html,
+        attachments: toNodemailerAttachments(email.attachments),
+      });
+      await store.updateEmail(email.id, {
+        status: 'sent', attempts: attempt, message_id: messageId, last_error: null,
+        transport: transport.name, sent: true,
+      });
+      await onSent(email, { messageId, delivered: transport.delivers });
+      return { id: email.id, ok: true, attempt, message_id: messageId, delivered: transport.delivers };
+    } catch (e) {
+      const error = String(e.message || e);
+      const final = attempt >= maxAttempts;
+      await store.updateEmail(email.id, {
+        status: final ? 'failed' : 'queued', attempts: attempt, last_error: error,
+        transport: transport.name, retry_in_sec: final ? 0 : backoffSec(attempt),
+      });
+      await onFailed(email, error, { final });
+      if (final) console.error(`email ${email.id} to ${email.to_address} failed after ${attempt} attempts: ${error}`);
+      return { id: email.id, ok: false, attempt, error, final };
+    }
+  }
+
+  // Stores the message and returns; the worker makes the first attempt right
+  // after, outside the caller's request.
+  async function enqueue({ to, subject, html, attachments = [], kind = 'receipt', payment_id = null }) {
+    if (!transport) throw new Error('SMTP not configured');
+    const email = await store.createEmail({ to_address: to, subject, html, attachments, kind, payment_id });
+    setImmediate(() => {
+      processDue().catch(e => console.error('email outbox worker error', e.message));
+    });
+    return { email_id: email.id, status: 'queued' };
+  }
+
+  // Messages stay queued while there is no transport.
+  async function processDue(limit = 20) {
+    if (!transport) return [];
+    const due = await store.claimDueEmails(limit, leaseSec);
+    const results = [];
+    for (const email of due) results.push(await send(email));
+    return results;
+  }
+
+  // Sends again now, whatever its status; the attempt counter restarts.
+  async function resend(id) {
+    if (!transport) throw new Error('SMTP not configured');
+    const email = await store.getEmail(id);
+    if (!email) return null;
+    return send({ ...email, attempts: 0 });
+  }
+
+  function start(intervalMs = 30_000) {
+    return setInterval(() => {
+      processDue().catch(e => console.error('email outbox worker error', e.message));
+    }, intervalMs);
+  }
+
+  return { enqueue, processDue, resend, start, ready: !!transport, transportName: transport?.name || 'none' };
+}
@@ -0,0 +1,449 @@
+// memoryStore.js — in-memory store with the same interface as the Postgres Store
+import {
+  REPORT_COLUMNS, REPORT_GROUP_DIMENSIONS, assertPaymentColumns, encodePaymentCursor, decodePaymentCursor,
+} from './schema.js';
+import { LATEST_VERSION } from './migrations.js';
+import { paymentInScope } from './auth.js';
+import { toDate } from './dates.js';
+import { decimalSum } from './decimal.js';
+
+function utcDay(v) {
+  return toDate(v).toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM-DD' of v in time zone tz.
+function localDay(v, tz) {
+  return tz === 'UTC' ? utcDay(v) : new Intl.DateTimeFormat('en-CA', { timeZone: tz }).format(toDate(v));
+}
+
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a == null) return 1; // NULLS LAST, like ORDER BY ... ASC
+  if (b == null) return -1;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function withoutHash({ key_hash, ...k }) {
+  return k;
+}
+
+function byCreatedDesc(a, b) {
+  return toDate(b.created_at) - toDate(a.created_at);
+}
+
+export class MemoryStore {
+  constructor() {
+    this.kind = 'memory';
+    this._payments = new Map();
+    this._webhookEvents = [];
+    this._webhookSeq = 0;
+    this._idempotency = new Map();
+    this._statusHistory = [];
+    this._statusHistorySeq = 0;
+    this._deliveries = [];
+    this._deliverySeq = 0;
+    this._emails = [];
+    this._emailSeq = 0;
+    this._apiKeys = [];
+    this._apiKeySeq = 0;
+    this._reconciliationRuns = [];
+    this._reconciliationSeq = 0;
+    this._reconciliationItemSeq = 0;
+    this._schedulerJobs = new Map();
+    this._schedulerRuns = [];
+    this._schedulerRunSeq = 0;
+  }
+
+  // Nothing to migrate: the in-memory store always has the latest shape.
+  async schemaStatus() {
+    return { store: this.kind, version: LATEST_VERSION, latest: LATEST_VERSION, applied: [], pending: [] };
+  }
+
+  async close() {}
+
+  async listPayments(limit = 200, scope = null) {
+    return [...this._payments.values()]
+      .filter(p => paymentInScope(p, scope))
+      .sort(byCreatedDesc)
+      .slice(0, Math.min(limit, 1000));
+  }
+
+  async searchPayments({
+    scope = null, states = null, merchant = null, sid = null, currency = null, invoice_currency = null,
+    created_from = null, created_before = null, q = null, cursor = null, limit = 50,
+    amount_match = null, follow_up = null,
+  } = {}) {
+    const eqi = (a, b) => String(a ?? '').toUpperCase() === String(b).toUpperCase();
+    const prefix = q ? String(q).toLowerCase() : null;
+    const matches = [...this._payments.values()].filter(p =>
+      paymentInScope(p, scope)
+      && (!states?.length || states.includes(p.state))
+      && (!merchant || p.merchant === merchant)
+      && (!sid || String(p.sid) === String(sid))
+      && (!currency || eqi(p.currency, currency))
+      && (!invoice_currency || eqi(p.invoice_currency, invoice_currency))
+      && (!created_from || toDate(p.created_at) >= new Date(created_from))
+      && (!created_before || toDate(p.created_at) < new Date(created_before))
+      && (!amount_match || p.amount_match === amount_match)
+      && (follow_up !== 'open' || (p.follow_up && !p.follow_up_resolved_at))
+      && (follow_up !== 'resolved' || !!p.follow_up_resolved_at)
+      && (!prefix || [p.order_id, p.payment_id, p.customer_email, p.payer_id]
+        .some(v => v != null && String(v).toLowerCase().startsWith(prefix))));
+    const sorted = matches.sort((a, b) => byCreatedDesc(a, b) || (a.payment_id < b.payment_id ? 1 : a.payment_id > b.payment_id ? -1 : 0));
+    let start = 0;
+    if (cursor) {
+      const c = decodePaymentCursor(cursor);
+      const at = new Date(c.created_at);
+      start = sorted.findIndex(p => {
+        const d = toDate(p.created_at);
+        return d < at || (+d === +at && p.payment_id < c.payment_id);
+      });
+      if (start < 0) start = sorted.length;
+    }
+    const n = Math.min(limit, 500);
+    const rows = sorted.slice(start, start + n);
+    const last = rows[rows.length - 1];
+    return {
+      rows,
+      total: matches.length,
+      next_cursor: start + n < sorted.length ? encodePaymentCursor(toDate(last.created_at).toISOString(), last.payment_id) : null,
+    };
+  }
+
+  async getPayment(payment_id) {
+    return this._payments.get(payment_id) || null;
+  }
+
+  async saveStart(p) {
+    assertPaymentColumns(Object.keys(p));
+    if (!p.payment_id) throw new Error('saveStart requires payment_id');
+    const prev = this._payments.get(p.payment_id);
+    const now = new Date().toISOString();
+    this._payments.set(p.payment_id, prev
+      ? { ...prev, ...p, created_at: prev.created_at, updated_at: now }
+      : { created_at: now, ...p, updated_at: now });
+  }
+
+  async update(payment_id, update) {
+    const prev = this._payments.get(payment_id);
+    assertPaymentColumns(Object.keys(update));
+    if (!prev || Object.keys(update).length === 0) return;
+    this._payments.set(payment_id, { ...prev, ...update, updated_at: new Date().toISOString() });
+  }
+
+  async updateIfState(payment_id, state, update) {
+    const prev = this._payments.get(payment_id);
+    assertPaymentColumns(Object.keys(update));
+    if (!prev || (prev.state ?? null) !== (state ?? null)) return false;
+    this._payments.set(payment_id, { ...prev, ...update, updated_at: new Date().toISOString() });
+    return true;
+  }
+
+  async claimReceiptSend(payment_id) {
+    const p = this._payments.get(payment_id);
+    if (!p || p.receipt_claimed_at || p.receipt_sent_at) return false;
+    p.receipt_claimed_at = new Date().toISOString();
+    return true;
+  }
+
+  async claimDueRechecks(limit = 20, leaseSec = 120) {
+    const now = Date.now();
+    const due = [...this._payments.values()]
+      .filter(p => p.next_check_at && toDate(p.next_check_at).getTime() <= now
+        && (p.state == null || p.state === 'created' || p.state === 'waiting'))
+      .sort((a, b) => toDate(a.next_check_at) - toDate(b.next_check_at))
+      .slice(0, Math.min(limit, 200));
+    return due.map(p => {
+      const due_at = p.next_check_at;
+      p.next_check_at = new Date(now + leaseSec * 1000).toISOString();
+      return { ...p, due_at };
+    });
+  }
+
+  async recheckBacklog() {
+    const now = Date.now();
+    const due = [...this._payments.values()]
+      .filter(p => p.next_check_at && toDate(p.next_check_at).getTime() <= now
+        && (p.state == null || p.state === 'created' || p.state === 'waiting'))
+      .map(p => toDate(p.next_check_at));
+    return { due: due.length, oldest_due_at: due.length ? new Date(Math.min(...due)).toISOString() : null };
+  }
+
+  async recordStatusChange({ payment_id, from_state = null, to_state, status = null, source, actor = null, detail = null }) {
+    this._statusHistory.push({ id: ++this._statusHistorySeq, payment_id, from_state, to_state, status, source, actor, detail, created_at: new Date().toISOString() });
+  }
+
+  async listStatusHistory(payment_id, { afterId = 0 } = {}) {
+    return this._statusHistory
+      .filter(h => h.payment_id === payment_id && h.id > Number(afterId))
+      .map(({ payment_id: _, ...h }) => h);
+  }
+
+  async logWebhookEvent({ payment_id = null, status = 'received', error = null, payload = null, replay_of = null, auth = null }) {
+    const id = ++this._webhookSeq;
+    this._webhookEvents.unshift({
+      id, payment_id, status, error, payload,
+      received_at: new Date().toISOString(),
+      replay_of, auth,
+    });
+    return id;
+  }
+
+  async getWebhookEvent(id) {
+    return this._webhookEvents.find(e => String(e.id) === String(id)) || null;
+  }
+
+  async listWebhookEvents({ limit = 100, status = null, payment_id = null, from = null, to = null, replayable = false } = {}) {
+    const fromMs = from ? toDate(from).getTime() : -Infinity;
+    const toMs = to ? toDate(to).getTime() : Infinity;
+    const handled = (e) => this._webhookEvents.some(r => r.status === 'updated' && r.replay_of != null
+      && (r.replay_of === e.id || r.replay_of === e.replay_of));
+    return this._webhookEvents
+      .filter(e => (!status || e.status === status) && (!payment_id || e.payment_id === payment_id))
+      .filter(e => !replayable || (e.status !== 'invalid_token' && !handled(e)))
+      .filter(e => { const t = toDate(e.received_at).getTime(); return t >= fromMs && t <= toMs; })
+      .slice(0, Math.min(limit, 500));
+  }
+
+  async createWebhookDelivery({ event_id, event_type, merchant, payment_id = null, url, payload }) {
+    const now = new Date().toISOString();
+    const d = {
+      id: ++this._deliverySeq, event_id, event_type, merchant, payment_id, url, payload,
+      status: 'pending', attempts: 0, next_attempt_at: now,
+      last_status_code: null, last_error: null, created_at: now, delivered_at: null,
+      attempt_log: [],
+    };
+    this._deliveries.unshift(d);
+    return { ...d };
+  }
+
+  async claimDueWebhookDeliveries(limit = 20, leaseSec = 60) {
+    const now = Date.now();
+    const due = this._deliveries
+      .filter(d => d.status === 'pending' && toDate(d.next_attempt_at).getTime() <= now)
+      .sort((a, b) => toDate(a.next_attempt_at) - toDate(b.next_attempt_at))
+      .slice(0, Math.min(limit, 100));
+    for (const d of due) d.next_attempt_at = new Date(now + leaseSec * 1000).toISOString();
+    return due.map(d => ({ ...d }));
+  }
+
+  async recordWebhookAttempt(delivery_id, { attempt, status_code = null, error = null, duration_ms = null }) {
+    const d = this._deliveries.find(x => x.id === Number(delivery_id));
+    if (d) d.attempt_log.push({ attempt, status_code, error, duration_ms, attempted_at: new Date().toISOString() });
+  }
+
+  async updateWebhookDelivery(id, { status, attempts, last_status_code = null, last_error = null, delivered = false, retry_in_sec = 0 }) {
+    const d = this._deliveries.find(x => x.id === Number(id));
+    if (!d) return;
+    Object.assign(d, { status, attempts, last_status_code, last_error });
+    if (delivered) d.delivered_at = new Date().toISOString();
+    d.next_attempt_at = new Date(Date.now() + retry_in_sec * 1000).toISOString();
+  }
+
+  async getWebhookDelivery(id) {
+    const d = this._deliveries.find(x => String(x.id) === String(id));
+    return d ? { ...d, attempt_log: [...d.attempt_log] } : null;
+  }
+
+  async listWebhookDeliveries({ limit = 100, status = null, merchant = null, payment_id = null } = {}) {
+    return this._deliveries
+      .filter(d => (!status || d.status === status) && (!merchant || d.merchant === merchant) && (!payment_id || d.payment_id === payment_id))
+      .slice(0, Math.min(limit, 500))
+      .map(({ payload, attempt_log, ...d }) => d);
+  }
+
+  async createEmail({ to_address, subject, html, attachments = [], kind, payment_id = null }) {
+    const now = Date.now();
+    const e = {
+      id: ++this._emailSeq, kind, payment_id, to_address, subject, html, attachments,
+      status: 'queued', attempts: 0, next_attempt_at: new Date(now).toISOString(),
+      last_error: null, message_id: null, transport: null,
+      created_at: new Date(now).toISOString(), sent_at: null,
+    };
+    this._emails.unshift(e);
+    return { ...e };
+  }
+
+  async claimDueEmails(limit = 20, leaseSec = 120) {
+    const now = Date.now();
+    const due = this._emails
+      .filter(e => e.status === 'queued' && toDate(e.next_attempt_at).getTime() <= now)
+      .sort((a, b) => toDate(a.next_attempt_at) - toDate(b.next_attempt_at))
+      .slice(0, Math.min(limit, 100));
+    for (const e of due) e.next_attempt_at = new Date(now + leaseSec * 1000).toISOString();
+    return due.map(e => ({ ...e }));
+  }
+
+  async updateEmail(id, { status, attempts, message_id = null, last_error = null, transport = null, sent = false, retry_in_sec = 0 }) {
+    const e = this._emails.find(x => x.id === Number(id));
+    if (!e) return;
+    Object.assign(e, { status, attempts, last_error, transport, message_id: message_id ?? e.message_id });
+    if (sent) e.sent_at = new Date().toISOString();
+    e.next_attempt_at = new Date(Date.now() + retry_in_sec * 1000).toISOString();
+  }
+
+  async getEmail(id) {
+    const e = this._emails.find(x => String(x.id) === String(id));
+    return e ? { ...e } : null;
+  }
+
+  async listEmails({ limit = 100, status = null, payment_id = null } = {}) {
+    return this._emails
+      .filter(e => (!status || e.status === status) && (!payment_id || e.payment_id === payment_id))
+      .slice(0, Math.min(limit, 500))
+      .map(({ html, attachments, ...e }) => ({ ...e, attachment_count: attachments.length }));
+  }
+
+  async claimIdempotencyKey({ scope, key, fingerprint, ttlSec }) {
+    const now = Date.now();
+    for (const [k, r] of this._idempotency) if (r.expires_at < now) this._idempotency.delete(k);
+    const id = `${scope}\u0000${key}`;
+    const existing = this._idempotency.get(id);
+    if (existing) return { claimed: false, record: existing };
+    this._idempotency.set(id, { fingerprint, status_code: null, response: null, expires_at: now + ttlSec * 1000 });
+    return { claimed: true };
+  }
+
+  async completeIdempotencyKey({ scope, key, status_code, response }) {
+    const r = this._idempotency.get(`${scope}\u0000${key}`);
+    if (r) Object.assign(r, { status_code, response: response ?? null });
+  }
+
+  async releaseIdempotencyKey({ scope, key }) {
+    this._idempotency.delete(`${scope}\u0000${key}`);
+  }
+
+  async reportGroups({ from, to, tz = 'UTC', scope = null, groupBy = [] }) {
+    const dims = groupBy.filter(d => REPORT_GROUP_DIMENSIONS.includes(d));
+    const groups = new Map();
+    for (const p of this._payments.values()) {
+      const day = localDay(p.created_at, tz);
+      if (day < String(from) || day > String(to) || !paymentInScope(p, scope)) continue;
+      const row = { ...p, day };
+      const keys = dims.map(d => row[d] ?? null);
+      const id = JSON.stringify(keys);
+      if (!groups.has(id)) groups.set(id, { keys, rows: [] });
+      groups.get(id).rows.push(row);
+    }
+    return [...groups.values()]
+      .sort((a, b) => a.keys.reduce((r, k, i) => r || compareKeys(k, b.keys[i]), 0))
+      .map(({ keys, rows }) => {
+        // Money totals only count payments that were actually paid.
+        const confirmed = rows.filter(r => r.state === 'confirmed');
+        return {
+          ...Object.fromEntries(dims.map((d, i) => [d, keys[i]])),
+          count: rows.length,
+          confirmed_count: confirmed.length,
+          cancelled_count: rows.filter(r => r.state === 'cancelled').length,
+          underpaid_count: rows.filter(r => r.amount_match === 'underpaid').length,
+          overpaid_count: rows.filter(r => r.amount_match === 'overpaid').length,
+          fiat_total: decimalSum(confirmed.map(r => r.invoice_amount)),
+          crypto_total: decimalSum(confirmed.map(r => r.crypto_amount)),
+          crypto_received_total: decimalSum(confirmed.map(r => r.crypto_received)),
+          network_fee_total: decimalSum(confirmed.map(r => r.network_processing_fee)),
+          tip_total: decimalSum(confirmed.map(r => r.meta_tip_amount)),
+        };
+      });
+  }
+
+  async listPaymentsInRange(from, to, scope = null, tz = 'UTC') {
+    return [...this._payments.values()]
+      .filter(p => { const d = localDay(p.created_at, tz); return d >= String(from) && d <= String(to) && paymentInScope(p, scope); })
+      .sort(byCreatedDesc)
+      .map(p => Object.fromEntries(REPORT_COLUMNS.map(c => [c, p[c] ?? null])));
+  }
+
+  async *streamPaymentsInRange({ from, to, tz = 'UTC', scope = null }) {
+    const rows = [...this._payments.values()]
+      .filter(p => { const d = localDay(p.created_at, tz); return d >= String(from) && d <= String(to) && paymentInScope(p, scope); })
+      .sort((a, b) => byCreatedDesc(b, a) || compareKeys(a.payment_id, b.payment_id));
+    yield* rows;
+  }
+
+  async recordSchedulerRun(run) {
+    this._schedulerRuns.unshift({ id: ++this._schedulerRunSeq, ...run });
+    if (this._schedulerRuns.length > 500) this._schedulerRuns.length = 500;
+  }
+
+  async updateSchedulerJob({ job, instance_id, last_run_at, last_status, last_error = null, next_run_at = null }) {
+    this._schedulerJobs.set(`${job}\u0000${instance_id}`, {
+      job, instance_id, last_run_at, last_status, last_error, next_run_at, updated_at: new Date().toISOString(),
+    });
+  }
+
+  async listSchedulerJobs() {
+    return [...this._schedulerJobs.values()];
+  }
+
+  async listSchedulerRuns({ job = null, failedOnly = false, limit = 50 } = {}) {
+    return this._schedulerRuns
+      .filter(r => (!job || r.job === job) && (!failedOnly || r.failed > 0 || r.error))
+      .slice(0, Math.min(limit, 500));
+  }
+
+  async createApiKey({ merchant, sid = null, name = null, key_prefix, key_hash }) {
+    const k = {
+      id: ++this._apiKeySeq, merchant, sid, name, key_prefix, key_hash,
+      created_at: new Date().toISOString(), last_used_at: null, revoked_at: null,
+    };
+    this._apiKeys.unshift(k);
+    return withoutHash(k);
+  }
+
+  async findActiveApiKey(key_hash) {
+    const k = this._apiKeys.find(x => x.key_hash === key_hash && !x.revoked_at);
+    return k ? withoutHash(k) : null;
+  }
+
+  async touchApiKey(id) {
+    const k = this._apiKeys.find(x => x.id === Number(id));
+    if (k) k.last_used_at = new Date().toISOString();
+  }
+
+  async listApiKeys({ merchant = null, limit = 200 } = {}) {
+    return this._apiKeys
+      .filter(k => !merchant || k.merchant === merchant)
+      .slice(0, Math.min(limit, 1000))
+      .map(withoutHash);
+  }
+
+  async revokeApiKey(id) {
+    const k = this._apiKeys.find(x => x.id === Number(id));
+    if (!k) return null;
+    k.revoked_at = k.revoked_at || new Date().toISOString();
+    return withoutHash(k);
+  }
+
+  async findPaymentsByReference({ payment_ids = [], order_ids = [] }) {
+    const ids = new Set(payment_ids);
+    const orders = new Set(order_ids);
+    return [...this._payments.values()].filter(p => ids.has(p.payment_id) || (p.order_id != null && orders.has(p.order_id)));
+  }
+
+  async createReconciliationRun({ source_name = null, format, period_from = null, period_to = null, tolerance = 0, actor = null, summary, items }) {
+    const run = {
+      id: ++this._reconciliationSeq, source_name, format, period_from, period_to,
+      tolerance: String(tolerance), actor, summary, created_at: new Date().toISOString(),
+    };
+    // Stored as JSON, like the jsonb columns, so later payment edits do not leak in.
+    const stored = JSON.parse(JSON.stringify(items)).map(it => ({
+      id: ++this._reconciliationItemSeq, kind: it.kind, payment_id: it.payment_id ?? null, order_id: it.order_id ?? null,
+      issues: it.issues || [], settlement: it.settlement ?? null, local: it.local ?? null,
+    }));
+    this._reconciliationRuns.unshift({ run, items: stored });
+    return run;
+  }
+
+  async getReconciliationRun(id) {
+    return this._reconciliationRuns.find(r => String(r.run.id) === String(id))?.run || null;
+  }
+
+  async listReconciliationRuns({ limit = 100 } = {}) {
+    return this._reconciliationRuns.slice(0, Math.min(limit, 500)).map(r => r.run);
+  }
+
+  async listReconciliationItems(run_id, { kind = null } = {}) {
+    const r = this._reconciliationRuns.find(x => String(x.run.id) === String(run_id));
+    return r ? r.items.filter(it => !kind || it.kind === kind) : [];
+  }
+}
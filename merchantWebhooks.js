@@ -0,0 +1,140 @@
+// merchantWebhooks.js — signed outbound webhooks to merchant endpoints
+//
+// Each event is written to merchant_webhook_deliveries first and then sent, so a
+// crash or a failing endpoint only delays delivery. Failed sends are retried with
+// exponential backoff until maxAttempts, after which the delivery is marked
+// failed and can be redelivered from the admin API.
+//
+// Receivers verify X-SavoPay-Signature: `t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// "<t>.<raw body>" with the merchant's secret>`.
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+export function signPayload(secret, body, ts = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${ts}.${body}`).digest('hex');
+  return `t=${ts},v1=${v1}`;
+}
+
+// Fields a merchant sees about a payment; customer contact details and access
+// tokens are deliberately left out.
+export function paymentSummary(p) {
+  return {
+    payment_id: p.payment_id,
+    order_id: p.order_id ?? null,
+    merchant: p.merchant ?? null,
+    sid: p.sid ?? null,
+    state: p.state ?? null,
+    status: p.status ?? null,
+    confirmed: p.confirmed ?? null,
+    confirmed_time: p.confirmed_time ?? null,
+    invoice_amount: p.invoice_amount ?? null,
+    invoice_currency: p.invoice_currency ?? null,
+    crypto_amount: p.crypto_amount ?? null,
+    crypto_received: p.crypto_received ?? null,
+    amount_match: p.amount_match ?? null,
+    currency: p.currency ?? null,
+    expires_at: p.expires_at ?? null,
+    follow_up: p.follow_up ?? null,
+    follow_up_resolved_at: p.follow_up_resolved_at ?? null,
+  };
+}
+
+// endpointFor(payment) -> { merchant, url, secret } | null
+export function createMerchantWebhooks({
+  store,
+  endpointFor,
+  maxAttempts = 8,
+  baseDelaySec = 30,
+  maxDelaySec = 6 * 3600,
+  timeoutMs = 10_000,
+}) {
+  const backoffSec = (attempts) => Math.min(maxDelaySec, baseDelaySec * 2 ** (attempts - 1));
+
+  async function send(d) {
+    const ep = endpointFor({ merchant: d.merchant, payment_id: d.payment_id });
+    const url = ep?.url || d.url;
+    const body = JSON.stringify(d.payload);
+    const attempt = d.attempts + 1;
+    const t0 = Date.now();
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    let status_code = null;
+    let error = null;
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SavoPay-Webhooks/1.0',
+        'X-SavoPay-Event-Id': d.event_id,
+        'X-SavoPay-Event-Type': d.event_type,
+        'X-SavoPay-Delivery-Attempt': String(attempt),
+      };
+      if (ep?.secret) headers['X-SavoPay-Signature'] = signPayload(ep.secret, body);
+      const resp = await fetch(url, { method: 'POST', headers, body, signal: ctrl.signal, redirect: 'manual' });
+      status_code = resp.status;
+      if (!resp.ok) error = `HTTP ${resp.status}`;
+    } catch (e) {
+      error = e.name === 'AbortError' ? `timeout after ${timeoutMs}ms` : String(e.message || e);
+    } finally {
+      clearTimeout(timer);
+    }
+    const duration_ms = Date.now() - t0;
+    await store.recordWebhookAttempt(d.id, { attempt, status_code, error, duration_ms });
+
+    if (!error) {
+      await store.updateWebhookDelivery(d.id, { status: 'delivered', attempts: attempt, last_status_code: status_code, delivered: true });
+      return { id: d.id, ok: true, attempt, status_code };
+    }
+    const giveUp = attempt >= maxAttempts;
+    await store.updateWebhookDelivery(d.id, {
+      status: giveUp ? 'failed' : 'pending',
+      attempts: attempt,
+      last_status_code: status_code,
+      last_error: error,
+      retry_in_sec: giveUp ? 0 : backoffSec(attempt),
+    });
+    if (giveUp) console.error(`merchant webhook ${d.id} (${d.merchant}) failed after ${attempt} attempts: ${error}`);
+    return { id: d.id, ok: false, attempt, status_code, error, final: giveUp };
+  }
+
+  async function deliverDue(limit = 20) {
+    const due = await store.claimDueWebhookDeliveries(limit);
+    const results = [];
+    for (const d of due) results.push(await send(d));
+    return results;
+  }
+
+  // Queues a payment.state_changed event when the payment's merchant has an
+  // endpoint, then tries to send it straight away.
+  async function notifyStateChange(payment, previous_state) {
+    const ep = endpointFor(payment);
+    if (!ep?.url) return null;
+    const event_id = 'evt_' + crypto.randomUUID();
+    const payload = {
+      id: event_id,
+      type: 'payment.state_changed',
+      created_at: new Date().toISOString(),
+      data: { ...paymentSummary(payment), previous_state: previous_state ?? null },
+    };
+    const d = await store.createWebhookDelivery({
+      event_id, event_type: payload.type, merchant: ep.merchant,
+      payment_id: payment.payment_id, url: ep.url, payload,
+    });
+    deliverDue().catch(e => console.error('merchant webhook delivery error', e.message));
+    return d;
+  }
+
+  // Sends a delivery again now, whatever its status; the attempt counter restarts.
+  async function redeliver(id) {
+    const d = await store.getWebhookDelivery(id);
+    if (!d) return null;
+    return send({ ...d, attempts: 0 });
+  }
+
+  function start(intervalMs = 15_000) {
+    return setInterval(() => {
+      deliverDue().catch(e => console.error('merchant webhook worker error', e.message));
+    }, intervalMs);
+  }
+
+  return { notifyStateChange, deliverDue, redeliver, start };
+}
@@ -0,0 +1,24 @@
+// migrate.js — apply pending schema migrations and print the schema version
+//   node migrate.js            apply pending migrations, then print status
+//   node migrate.js --status   print status only
+import 'dotenv/config';
+import { runMigrations, migrationStatus } from './migrations.js';
+import { buildPool } from './db.js';
+
+async function main() {
+  const pool = buildPool();
+  try {
+    if (!process.argv.includes('--status')) await runMigrations(pool);
+    const st = await migrationStatus(pool);
+    console.log(`schema version ${st.version} (latest ${st.latest})`);
+    for (const m of st.applied) console.log(`  applied  ${m.version}  ${m.name}  ${new Date(m.applied_at).toISOString()}`);
+    for (const m of st.pending) console.log(`  pending  ${m.version}  ${m.name}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,427 @@
+// migrations.js — ordered Postgres schema migrations
+//
+// Each entry runs once, inside its own transaction, and is recorded in
+// schema_migrations. Append new entries; never edit or reorder applied ones.
+
+// Arbitrary constant for pg_advisory_lock so parallel boots migrate one at a time.
+const MIGRATION_LOCK_KEY = 7_410_263;
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline payments and webhook_events',
+    up: `
+      CREATE TABLE IF NOT EXISTS payments (
+        id                   SERIAL PRIMARY KEY,
+        payment_id           TEXT UNIQUE,
+        order_id             TEXT,
+        status               TEXT,
+        currency             TEXT,
+        amount               TEXT,
+        invoice_currency     TEXT,
+        invoice_amount       TEXT,
+        raw_json             JSONB,
+        updated_at           TIMESTAMPTZ DEFAULT now(),
+        pos_id               TEXT,
+        address              TEXT,
+        crypto_amount        TEXT,
+        state                TEXT,
+        confirmed            INT,
+        confirmed_time       TEXT,
+        payer_id             TEXT,
+        customer_email       TEXT,
+        print_string         TEXT,
+        created_at           TIMESTAMPTZ DEFAULT now(),
+        amount_exchange      TEXT,
+        network_processing_fee TEXT,
+        last_transaction_time TEXT,
+        invoice_date         TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_payments_created_at_desc ON payments (created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_payments_state ON payments (state);
+      CREATE UNIQUE INDEX IF NOT EXISTS uniq_payments_payment_id ON payments (payment_id);
+
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id           BIGSERIAL PRIMARY KEY,
+        payment_id   TEXT,
+        status       TEXT,                 -- received | invalid_token | bad_request | updated | error
+        error        TEXT,
+        payload      JSONB,
+        received_at  TIMESTAMPTZ DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events (received_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_payment_id ON webhook_events (payment_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events (status);
+    `,
+  },
+  {
+    version: 2,
+    name: 'payments: StartPayment response, merchant routing and tip fields',
+    up: `
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS sid                           TEXT,
+        ADD COLUMN IF NOT EXISTS merchant                      TEXT,
+        ADD COLUMN IF NOT EXISTS merchant_id                   TEXT,
+        ADD COLUMN IF NOT EXISTS access_url                    TEXT,
+        ADD COLUMN IF NOT EXISTS access_token                  TEXT,
+        ADD COLUMN IF NOT EXISTS qr                            TEXT,
+        ADD COLUMN IF NOT EXISTS qr_img                        TEXT,
+        ADD COLUMN IF NOT EXISTS qr_alt                        TEXT,
+        ADD COLUMN IF NOT EXISTS qr_alt_img                    TEXT,
+        ADD COLUMN IF NOT EXISTS notices                       JSONB,
+        ADD COLUMN IF NOT EXISTS rate                          TEXT,
+        ADD COLUMN IF NOT EXISTS fast_transaction_fee          TEXT,
+        ADD COLUMN IF NOT EXISTS fast_transaction_fee_currency TEXT,
+        ADD COLUMN IF NOT EXISTS wait_time                     TEXT,
+        ADD COLUMN IF NOT EXISTS min_confirmations             TEXT,
+        ADD COLUMN IF NOT EXISTS meta_tip_percent              TEXT,
+        ADD COLUMN IF NOT EXISTS meta_tip_amount               TEXT,
+        ADD COLUMN IF NOT EXISTS meta_base_amount              TEXT;
+      CREATE INDEX IF NOT EXISTS idx_payments_merchant ON payments (merchant);
+      CREATE INDEX IF NOT EXISTS idx_payments_sid ON payments (sid);
+    `,
+  },
+  {
+    version: 3,
+    name: 'idempotency_keys',
+    up: `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope        TEXT NOT NULL,
+        key          TEXT NOT NULL,
+        fingerprint  TEXT NOT NULL,
+        status_code  INT,                  -- NULL while the first request is in flight
+        response     JSONB,
+        created_at   TIMESTAMPTZ DEFAULT now(),
+        expires_at   TIMESTAMPTZ NOT NULL,
+        PRIMARY KEY (scope, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
+    `,
+  },
+  {
+    version: 4,
+    name: 'webhook_events.replay_of',
+    up: `
+      ALTER TABLE webhook_events
+        ADD COLUMN IF NOT EXISTS replay_of BIGINT REFERENCES webhook_events (id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_replay_of ON webhook_events (replay_of);
+    `,
+  },
+  {
+    version: 5,
+    name: 'webhook_events.auth',
+    up: `
+      ALTER TABLE webhook_events
+        ADD COLUMN IF NOT EXISTS auth TEXT;   -- valid | rotated_key | rejected; NULL for replays
+    `,
+  },
+  {
+    version: 6,
+    name: 'merchant webhook deliveries and attempts',
+    up: `
+      CREATE TABLE IF NOT EXISTS merchant_webhook_deliveries (
+        id               BIGSERIAL PRIMARY KEY,
+        event_id         TEXT UNIQUE NOT NULL,
+        event_type       TEXT NOT NULL,
+        merchant         TEXT NOT NULL,
+        payment_id       TEXT,
+        url              TEXT NOT NULL,
+        payload          JSONB NOT NULL,
+        status           TEXT NOT NULL DEFAULT 'pending',   -- pending | delivered | failed
+        attempts         INT NOT NULL DEFAULT 0,
+        next_attempt_at  TIMESTAMPTZ DEFAULT now(),
+        last_status_code INT,
+        last_error       TEXT,
+        created_at       TIMESTAMPTZ DEFAULT now(),
+        delivered_at     TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_mwd_due ON merchant_webhook_deliveries (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_mwd_merchant ON merchant_webhook_deliveries (merchant, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_mwd_payment_id ON merchant_webhook_deliveries (payment_id);
+
+      CREATE TABLE IF NOT EXISTS merchant_webhook_attempts (
+        id           BIGSERIAL PRIMARY KEY,
+        delivery_id  BIGINT NOT NULL REFERENCES merchant_webhook_deliveries (id) ON DELETE CASCADE,
+        attempt      INT NOT NULL,
+        status_code  INT,
+        error        TEXT,
+        duration_ms  INT,
+        attempted_at TIMESTAMPTZ DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_mwa_delivery_id ON merchant_webhook_attempts (delivery_id);
+    `,
+  },
+  {
+    version: 7,
+    name: 'payment_status_history',
+    up: `
+      CREATE TABLE IF NOT EXISTS payment_status_history (
+        id          BIGSERIAL PRIMARY KEY,
+        payment_id  TEXT NOT NULL,
+        from_state  TEXT,
+        to_state    TEXT NOT NULL,
+        status      TEXT,
+        source      TEXT NOT NULL,         -- start-payment | callback | replay | recheck | cron | ...
+        actor       TEXT,
+        detail      JSONB,
+        created_at  TIMESTAMPTZ DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_psh_payment_id ON payment_status_history (payment_id, created_at);
+    `,
+  },
+  {
+    version: 8,
+    name: 'payments: cancellation',
+    up: `
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS cancelled_at  TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+    `,
+  },
+  {
+    version: 9,
+    name: 'payments: automatic receipt email tracking',
+    up: `
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS receipt_claimed_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS receipt_sent_at    TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS receipt_message_id TEXT,
+        ADD COLUMN IF NOT EXISTS receipt_error      TEXT;
+    `,
+  },
+  {
+    version: 10,
+    name: 'email_outbox',
+    up: `
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id               BIGSERIAL PRIMARY KEY,
+        kind             TEXT NOT NULL,              -- receipt | final_receipt
+        payment_id       TEXT,
+        to_address       TEXT NOT NULL,
+        subject          TEXT NOT NULL,
+        html             TEXT NOT NULL,
+        attachments      JSONB NOT NULL DEFAULT '[]',
+        status           TEXT NOT NULL DEFAULT 'queued',   -- queued | sent | failed
+        attempts         INT NOT NULL DEFAULT 0,
+        next_attempt_at  TIMESTAMPTZ DEFAULT now(),
+        last_error       TEXT,
+        message_id       TEXT,
+        transport        TEXT,
+        created_at       TIMESTAMPTZ DEFAULT now(),
+        sent_at          TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_created_at ON email_outbox (created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_payment_id ON email_outbox (payment_id);
+    `,
+  },
+  {
+    version: 11,
+    name: 'payments: receipt locale',
+    up: `
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS locale TEXT;
+    `,
+  },
+  {
+    version: 12,
+    name: 'api_keys',
+    up: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id            BIGSERIAL PRIMARY KEY,
+        merchant      TEXT NOT NULL,          -- MERCHANT_MAP slug the key is scoped to
+        sid           TEXT,
+        name          TEXT,
+        key_prefix    TEXT NOT NULL,          -- first characters, to recognise a key in listings
+        key_hash      TEXT NOT NULL UNIQUE,   -- sha256 of the key; the key itself is never stored
+        created_at    TIMESTAMPTZ DEFAULT now(),
+        last_used_at  TIMESTAMPTZ,
+        revoked_at    TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_keys_merchant ON api_keys (merchant);
+    `,
+  },
+  {
+    version: 13,
+    name: 'payments: search and pagination indexes',
+    up: `
+      CREATE INDEX IF NOT EXISTS idx_payments_page ON payments (created_at DESC, payment_id DESC);
+      CREATE INDEX IF NOT EXISTS idx_payments_state_page ON payments (state, created_at DESC, payment_id DESC);
+      CREATE INDEX IF NOT EXISTS idx_payments_sid_page ON payments (sid, created_at DESC, payment_id DESC);
+      CREATE INDEX IF NOT EXISTS idx_payments_merchant_page ON payments (merchant, created_at DESC, payment_id DESC);
+      CREATE INDEX IF NOT EXISTS idx_payments_currency ON payments (currency);
+      CREATE INDEX IF NOT EXISTS idx_payments_invoice_currency ON payments (invoice_currency);
+      -- search is a case-insensitive prefix match; text_pattern_ops serves LIKE 'q%'
+      CREATE INDEX IF NOT EXISTS idx_payments_order_id_search ON payments (lower(order_id) text_pattern_ops);
+      CREATE INDEX IF NOT EXISTS idx_payments_payment_id_search ON payments (lower(payment_id) text_pattern_ops);
+      CREATE INDEX IF NOT EXISTS idx_payments_customer_email_search ON payments (lower(customer_email) text_pattern_ops);
+      CREATE INDEX IF NOT EXISTS idx_payments_payer_id_search ON payments (lower(payer_id) text_pattern_ops);
+    `,
+  },
+  {
+    version: 14,
+    name: 'reconciliation_runs and reconciliation_items',
+    up: `
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id           BIGSERIAL PRIMARY KEY,
+        source_name  TEXT,                    -- uploaded file name, if given
+        format       TEXT NOT NULL,           -- csv | json
+        period_from  DATE,                    -- window checked for missing_settlement
+        period_to    DATE,
+        tolerance    NUMERIC NOT NULL DEFAULT 0,
+        actor        TEXT,
+        summary      JSONB NOT NULL,
+        created_at   TIMESTAMPTZ DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_created_at ON reconciliation_runs (created_at DESC);
+      CREATE TABLE IF NOT EXISTS reconciliation_items (
+        id          BIGSERIAL PRIMARY KEY,
+        run_id      BIGINT NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+        kind        TEXT NOT NULL,            -- matched | mismatch | missing_local | missing_settlement | duplicate
+        payment_id  TEXT,
+        order_id    TEXT,
+        issues      JSONB NOT NULL DEFAULT '[]',
+        settlement  JSONB,                    -- the parsed file row
+        local       JSONB                     -- the payment as stored at reconciliation time
+      );
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run ON reconciliation_items (run_id, kind, id);
+    `,
+  },
+  {
+    version: 15,
+    name: 'payments: expected vs received crypto amount',
+    up: `
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS crypto_expected       TEXT,          -- CheckPayment amount
+        ADD COLUMN IF NOT EXISTS crypto_received       TEXT,          -- CheckPayment payment
+        ADD COLUMN IF NOT EXISTS amount_match          TEXT,          -- exact | underpaid | overpaid
+        ADD COLUMN IF NOT EXISTS amount_difference     TEXT,          -- received - expected
+        ADD COLUMN IF NOT EXISTS follow_up             TEXT,          -- why staff should look at it: underpaid
+        ADD COLUMN IF NOT EXISTS follow_up_at          TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS follow_up_resolved_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS follow_up_note        TEXT;
+      CREATE INDEX IF NOT EXISTS idx_payments_amount_match ON payments (amount_match);
+      CREATE INDEX IF NOT EXISTS idx_payments_follow_up_open ON payments (follow_up_at DESC)
+        WHERE follow_up IS NOT NULL AND follow_up_resolved_at IS NULL;
+    `,
+  },
+  {
+    version: 16,
+    name: 'payments: expiry and recheck schedule',
+    up: `
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS expires_at      TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS next_check_at   TIMESTAMPTZ,   -- NULL once the payment is final
+        ADD COLUMN IF NOT EXISTS check_count     INT NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ;
+      -- Open payments from before the schedule get one check soon; the scheduler
+      -- fills in expires_at from created_at and wait_time.
+      UPDATE payments SET next_check_at = now()
+        WHERE state IS NULL OR state IN ('created', 'waiting');
+      CREATE INDEX IF NOT EXISTS idx_payments_next_check_at ON payments (next_check_at)
+        WHERE next_check_at IS NOT NULL;
+    `,
+  },
+  {
+    version: 17,
+    name: 'payments: failed checks after expiry',
+    up: `
+      ALTER TABLE payments
+        ADD COLUMN IF NOT EXISTS late_check_failures INT NOT NULL DEFAULT 0;  -- failed checks past the final check time
+    `,
+  },
+  {
+    version: 18,
+    name: 'scheduler_jobs and scheduler_runs',
+    up: `
+      CREATE TABLE IF NOT EXISTS scheduler_jobs (
+        job          TEXT NOT NULL,
+        instance_id  TEXT NOT NULL,           -- hostname:pid of the process running it
+        last_run_at  TIMESTAMPTZ,
+        last_status  TEXT,                    -- ok | partial | error
+        last_error   TEXT,
+        next_run_at  TIMESTAMPTZ,
+        updated_at   TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (job, instance_id)
+      );
+      CREATE TABLE IF NOT EXISTS scheduler_runs (
+        id           BIGSERIAL PRIMARY KEY,
+        job          TEXT NOT NULL,
+        instance_id  TEXT NOT NULL,
+        started_at   TIMESTAMPTZ NOT NULL,
+        finished_at  TIMESTAMPTZ NOT NULL,
+        claimed      INT NOT NULL DEFAULT 0,
+        succeeded    INT NOT NULL DEFAULT 0,
+        failed       INT NOT NULL DEFAULT 0,
+        expired      INT NOT NULL DEFAULT 0,
+        max_lag_ms   INT,                     -- how late the most overdue claimed check ran
+        error        TEXT,
+        failures     JSONB NOT NULL DEFAULT '[]'
+      );
+      CREATE INDEX IF NOT EXISTS idx_scheduler_runs_job ON scheduler_runs (job, started_at DESC);
+    `,
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function ensureMigrationsTable(c) {
+  await c.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     INT PRIMARY KEY,
+      name        TEXT NOT NULL,
+      applied_at  TIMESTAMPTZ DEFAULT now()
+    )
+  `);
+}
+
+// Applies every pending migration. Holds a session-level advisory lock for the
+// whole run, so a second instance booting at the same time waits and then finds
+// nothing left to do. Returns the versions applied by this call.
+export async function runMigrations(pool, log = console) {
+  const c = await pool.connect();
+  const applied = [];
+  try {
+    await c.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(c);
+      const { rows } = await c.query('SELECT version FROM schema_migrations');
+      const done = new Set(rows.map(r => r.version));
+      for (const m of MIGRATIONS) {
+        if (done.has(m.version)) continue;
+        await c.query('BEGIN');
+        try {
+          await c.query(m.up);
+          await c.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+          await c.query('COMMIT');
+        } catch (e) {
+          await c.query('ROLLBACK');
+          throw new Error(`migration ${m.version} (${m.name}) failed: ${e.message}`);
+        }
+        log.log(`migration ${m.version} applied: ${m.name}`);
+        applied.push(m.version);
+      }
+    } finally {
+      await c.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    c.release();
+  }
+  return applied;
+}
+
+export async function migrationStatus(pool) {
+  const c = await pool.connect();
+  try {
+    await ensureMigrationsTable(c);
+    const { rows } = await c.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    const done = new Set(rows.map(r => r.version));
+    return {
+      version: rows.length ? rows[rows.length - 1].version : 0,
+      latest: LATEST_VERSION,
+      applied: rows,
+      pending: MIGRATIONS.filter(m => !done.has(m.version)).map(({ version, name }) => ({ version, name })),
+    };
+  } finally {
+    c.release();
+  }
+}
@@ -0,0 +1,128 @@
+// paymentEvents.js — live payment status over Server-Sent Events
+//
+// A stream sends the payment's summary as soon as it opens (`event: payment`),
+// then one `event: state` per status history row and a fresh summary whenever the
+// payment changes. Changes made in this process (callback, /recheck, the
+// scheduler) are pushed right away through notify(); a slow poll picks up the
+// ones made by other instances. Events carry the history row id, so a client that
+// reconnects with Last-Event-ID gets the state changes it missed before the new
+// summary. Comment lines keep idle connections from being closed by proxies.
+
+const RETRY_MS = 3000;
+
+// summarize(payment) -> the object sent as `event: payment`.
+export function createPaymentEvents({ store, summarize, heartbeatMs = 15_000, pollMs = 5_000 }) {
+  const streams = new Map(); // payment_id -> Set of open streams
+  let heartbeat = null;
+  let poller = null;
+
+  function write(s, { event, id, data }) {
+    let out = '';
+    if (event) out += `event: ${event}\n`;
+    if (id != null) out += `id: ${id}\n`;
+    out += `data: ${JSON.stringify(data)}\n\n`;
+    s.res.write(out);
+  }
+
+  // Sends what changed since the stream's last event. Calls that arrive while one
+  // is running are folded into a single follow-up pass.
+  async function refresh(s) {
+    if (s.busy) {
+      s.again = true;
+      return;
+    }
+    s.busy = true;
+    try {
+      do {
+        s.again = false;
+        const [p, rows] = await Promise.all([
+          store.getPayment(s.payment_id),
+          store.listStatusHistory(s.payment_id, { afterId: s.lastId }),
+        ]);
+        if (s.closed || !p) return;
+        for (const h of rows) {
+          s.lastId = h.id;
+          if (!s.replay) continue;
+          const { id, from_state, to_state, status, source, created_at } = h;
+          write(s, { event: 'state', id, data: { payment_id: s.payment_id, id, from_state, to_state, status, source, at: created_at } });
+        }
+        // Only the first pass of a fresh stream skips history; later rows are news.
+        s.replay = true;
+        const data = summarize(p);
+        const summary = JSON.stringify(data);
+        if (summary !== s.summary) {
+          s.summary = summary;
+          write(s, { event: 'payment', id: s.lastId, data });
+        }
+      } while (s.again && !s.closed);
+    } catch (e) {
+      console.error('payment events refresh error', s.payment_id, e.message);
+    } finally {
+      s.busy = false;
+    }
+  }
+
+  function each(fn) {
+    for (const set of streams.values()) for (const s of set) fn(s);
+  }
+
+  function startTimers() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => each(s => s.res.write(': ping\n\n')), heartbeatMs);
+    poller = setInterval(() => each(s => { refresh(s); }), pollMs);
+    heartbeat.unref?.();
+    poller.unref?.();
+  }
+
+  function stopTimers() {
+    clearInterval(heartbeat);
+    clearInterval(poller);
+    heartbeat = poller = null;
+  }
+
+  // Turns the response into an event stream for payment_id. lastEventId is the
+  // client's Last-Event-ID: history after it is replayed; without one the stream
+  // starts from the current summary.
+  function subscribe(req, res, payment_id, lastEventId) {
+    const resumeFrom = parseInt(lastEventId, 10);
+    const s = {
+      payment_id, res,
+      lastId: Number.isFinite(resumeFrom) && resumeFrom >= 0 ? resumeFrom : 0,
+      replay: Number.isFinite(resumeFrom),
+      summary: null, busy: false, again: false, closed: false,
+    };
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (!streams.has(payment_id)) streams.set(payment_id, new Set());
+    streams.get(payment_id).add(s);
+    startTimers();
+    res.on('close', () => {
+      s.closed = true;
+      const set = streams.get(payment_id);
+      set?.delete(s);
+      if (set && !set.size) streams.delete(payment_id);
+      if (!streams.size) stopTimers();
+    });
+    refresh(s);
+  }
+
+  // Called after a payment is written; a no-op when nobody is listening.
+  function notify(payment_id) {
+    for (const s of streams.get(payment_id) || []) refresh(s);
+  }
+
+  function status() {
+    let open = 0;
+    each(() => { open++; });
+    return { payments: streams.size, streams: open, heartbeat_ms: heartbeatMs, poll_ms: pollMs };
+  }
+
+  return { subscribe, notify, status };
+}
@@ -0,0 +1,100 @@
+// paymentState.js — payment state machine
+//
+//   created ─┬─> waiting ─┬─> confirmed
+//            │            ├─> cancelled
+//            │            └─> expired
+//            └─> confirmed | cancelled | expired
+//
+// confirmed, cancelled and expired are terminal. Staying in the same state is
+// always allowed so later responses can fill in details (print_string,
+// confirmed_time, ...), but never by replacing a known value with an empty one.
+
+import { DECIMAL_RE, toScaled, fromScaled, places } from './decimal.js';
+
+export const PAYMENT_STATES = ['created', 'waiting', 'confirmed', 'cancelled', 'expired'];
+
+const TRANSITIONS = {
+  created: ['waiting', 'confirmed', 'cancelled', 'expired'],
+  waiting: ['confirmed', 'cancelled', 'expired'],
+  confirmed: [],
+  cancelled: [],
+  expired: [],
+};
+
+export function normalizeState(s) {
+  const v = String(s || '').trim().toLowerCase();
+  if (!v) return null;
+  if (v === 'canceled') return 'cancelled';
+  return v;
+}
+
+export function isTerminal(state) {
+  const s = normalizeState(state);
+  return !!s && TRANSITIONS[s]?.length === 0;
+}
+
+export function canTransition(from, to) {
+  const f = normalizeState(from) || 'created';
+  const t = normalizeState(to);
+  if (!TRANSITIONS[t]) return false;
+  return f === t || TRANSITIONS[f]?.includes(t) || false;
+}
+
+export const AMOUNT_MATCHES = ['exact', 'underpaid', 'overpaid'];
+
+// Compares the received crypto amount with the expected one in exact decimal
+// arithmetic. Returns { amount_match: 'exact' | 'underpaid' | 'overpaid',
+// amount_difference: received - expected }, or null while nothing has been
+// received. A difference within tolerance (same unit as the amounts) is exact.
+export function classifyAmount(expected, received, tolerance = '0') {
+  const e = String(expected ?? '').trim();
+  const r = String(received ?? '').trim();
+  const t = DECIMAL_RE.test(String(tolerance).trim()) ? String(tolerance).trim() : '0';
+  if (!DECIMAL_RE.test(e) || !DECIMAL_RE.test(r)) return null;
+  const outScale = Math.max(places(e), places(r));
+  const scale = Math.max(outScale, places(t));
+  if (toScaled(r, scale) <= 0n) return null;
+  const diff = toScaled(r, scale) - toScaled(e, scale);
+  const tol = toScaled(t, scale);
+  const amount_match = diff < -tol ? 'underpaid' : diff > tol ? 'overpaid' : 'exact';
+  return { amount_match, amount_difference: fromScaled(diff / 10n ** BigInt(scale - outScale), outScale) };
+}
+
+// Builds the payments update for a CheckPayment response. Returns
+// { update, from, to, refused } — when refused is set the update is empty and
+// the stored payment must be left alone.
+//
+// CheckPayment's amount is what the customer should send, payment what has
+// arrived so far. They are stored apart (crypto_expected / crypto_received) and
+// compared within tolerance for the payment's currency; a payment that ends
+// underpaid is flagged for follow-up.
+export function updateFromCheckPayment(prev, ck, { tolerance = '0' } = {}) {
+  const from = normalizeState(prev?.state) || 'created';
+  const to = normalizeState(ck?.state);
+  if (!to) return { update: {}, from, to: null, refused: 'response has no state' };
+  if (!TRANSITIONS[to]) return { update: {}, from, to, refused: `unknown state '${to}'` };
+  if (!canTransition(from, to)) return { update: {}, from, to, refused: `transition ${from} -> ${to} not allowed` };
+
+  const keep = (v, k) => v || prev?.[k] || null;
+  const update = {
+    status: keep(ck.status || ck.state, 'status'),
+    state: to,
+    confirmed: ck.confirmed || to === 'confirmed' || prev?.confirmed ? 1 : 0,
+    confirmed_time: keep(ck.confirmed_time, 'confirmed_time'),
+    crypto_amount: keep(ck.amount || ck.crypto_amount, 'crypto_amount'),
+    crypto_expected: keep(ck.amount || ck.crypto_amount, 'crypto_expected'),
+    crypto_received: keep(ck.payment, 'crypto_received'),
+    print_string: keep(ck.print_string, 'print_string'),
+    amount_exchange: keep(ck.amount_exchange, 'amount_exchange'),
+    network_processing_fee: keep(ck.network_processing_fee, 'network_processing_fee'),
+    last_transaction_time: keep(ck.last_transaction_time, 'last_transaction_time'),
+    invoice_date: keep(ck.invoice_date, 'invoice_date'),
+    payer_id: keep(ck.payer_id, 'payer_id'),
+  };
+  const match = classifyAmount(update.crypto_expected || prev?.crypto_amount, update.crypto_received, tolerance);
+  if (match) Object.assign(update, match);
+  if (match?.amount_match === 'underpaid' && isTerminal(to) && !prev?.follow_up) {
+    Object.assign(update, { follow_up: 'underpaid', follow_up_at: new Date().toISOString() });
+  }
+  return { update, from, to, refused: null };
+}
@@ -0,0 +1,71 @@
+// receiptMarkup.js — parser for ForumPay's print_string receipt markup
+//
+// print_string is text with printer-style tags: <BOLD>, <BIG>, <SMALL> and
+// <CENTER> wrap text; <BR> (or a newline) ends a line; <LINE>, <DLINE> and
+// <CUT> are rules; <QR>data</QR> is a QR code. The parser turns it into blocks
+// that the PDF and thermal-printer renderers lay out:
+//   { type: 'text', align: 'left' | 'center', segments: [{ text, bold, big, small }] }
+//   { type: 'line' | 'dline' | 'cut' }
+//   { type: 'qr', data }
+
+const TAG_RE = /<(\/?)(SMALL|BOLD|BIG|CENTER|LINE|DLINE|CUT|BR|QR)>|\r?\n/gi;
+
+export function parseReceiptMarkup(print_string) {
+  const src = String(print_string || '');
+  const blocks = [];
+  const style = { bold: 0, big: 0, small: 0, center: 0 };
+  let segments = [];
+  let centered = false;
+
+  const flush = (force = false) => {
+    if (segments.length || force) blocks.push({ type: 'text', align: centered ? 'center' : 'left', segments });
+    segments = [];
+    centered = style.center > 0;
+  };
+  const addText = (text) => {
+    if (!text) return;
+    if (style.center > 0) centered = true;
+    segments.push({ text, bold: style.bold > 0, big: style.big > 0, small: style.small > 0 });
+  };
+
+  let last = 0;
+  let m;
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(src))) {
+    addText(src.slice(last, m.index));
+    last = TAG_RE.lastIndex;
+    if (!m[2]) { flush(true); continue; } // newline
+    const closing = m[1] === '/';
+    const tag = m[2].toUpperCase();
+    switch (tag) {
+      case 'BR':
+        flush(true);
+        break;
+      case 'LINE':
+      case 'DLINE':
+      case 'CUT':
+        if (!closing) { flush(); blocks.push({ type: tag.toLowerCase() }); }
+        break;
+      case 'QR': {
+        if (closing) break;
+        const end = src.toUpperCase().indexOf('</QR>', last);
+        const data = src.slice(last, end < 0 ? src.length : end).trim();
+        flush();
+        if (data) blocks.push({ type: 'qr', data });
+        last = end < 0 ? src.length : end + 5;
+        TAG_RE.lastIndex = last;
+        break;
+      }
+      default: {
+        const key = tag.toLowerCase();
+        style[key] = Math.max(0, style[key] + (closing ? -1 : 1));
+        if (key === 'center' && !closing && !segments.length) centered = true;
+      }
+    }
+  }
+  addText(src.slice(last));
+  flush();
+  // Trailing blank lines add nothing but paper.
+  while (blocks.length && blocks[blocks.length - 1].type === 'text' && !blocks[blocks.length - 1].segments.length) blocks.pop();
+  return blocks;
+}
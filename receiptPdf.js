@@ -0,0 +1,150 @@
+// receiptPdf.js — PDF rendering of receipts (same content as the HTML receipt pages)
+import PDFDocument from 'pdfkit';
+import { parseReceiptMarkup } from './receiptMarkup.js';
+import { qrModules } from './receiptQr.js';
+import { createLocalizer } from './i18n.js';
+
+const SIZE = { small: 8, normal: 10, big: 14 };
+
+// The standard PDF fonts are WinAnsi-encoded and can't draw the narrow no-break
+// space (U+202F) Intl puts in fr/de amounts and times, so localized strings get
+// plain spaces (U+00A0 too, to keep them alike).
+const INTL_SPACES = /[\u00a0\u202f]/g;
+
+function pdfLocalizer(l10n) {
+  const plain = (fn) => (...args) => String(fn(...args)).replace(INTL_SPACES, ' ');
+  return { ...l10n, t: plain(l10n.t), state: plain(l10n.state), amount: plain(l10n.amount), dateTime: plain(l10n.dateTime) };
+}
+
+function logoBuffer(src) {
+  const m = /^data:image\/(png|jpe?g);base64,(.+)$/i.exec(String(src || ''));
+  return m ? Buffer.from(m[2], 'base64') : null;
+}
+
+function rule(doc, { width, dash }) {
+  const y = doc.y + 4;
+  doc.save().lineWidth(width);
+  if (dash) doc.dash(dash, { space: dash });
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).stroke();
+  doc.restore();
+  doc.y = y + 6;
+}
+
+function header(doc, brand, l10n, printedAt) {
+  const logo = logoBuffer(brand.logoSrc);
+  const top = doc.y;
+  let textX = doc.page.margins.left;
+  if (logo) {
+    try {
+      doc.image(logo, textX, top, { height: 24 });
+      textX += 34;
+    } catch {} // unreadable image: fall back to the name alone
+  }
+  doc.font('Helvetica-Bold').fontSize(13).text(l10n.t('brand_receipt', { brand: brand.name }), textX, top + 5);
+  doc.x = doc.page.margins.left;
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(SIZE.small).fillColor('#6b7280')
+    .text(l10n.t('printed_at', { date: l10n.dateTime(printedAt) }));
+  doc.fillColor('black').moveDown(0.6);
+}
+
+function supportBlock(doc, brand, l10n) {
+  if (!brand.address && !brand.vat && !brand.supportEmail && !brand.footer) return;
+  doc.moveDown(0.6);
+  rule(doc, { width: 0.5 });
+  doc.font('Helvetica').fontSize(SIZE.small).fillColor('#374151');
+  if (brand.address) doc.text(brand.address);
+  if (brand.vat) doc.text(`${l10n.t('vat')}: ${brand.vat}`);
+  if (brand.supportEmail) doc.text(`${l10n.t('support')}: ${brand.supportEmail}`);
+  if (brand.footer) doc.moveDown(0.4).text(brand.footer);
+  doc.fillColor('black');
+}
+
+// Under- or overpayment note; nothing for exact payments.
+function amountBlock(doc, p, l10n) {
+  if (!p?.crypto_received || !['underpaid', 'overpaid'].includes(p.amount_match)) return;
+  const diff = l10n.amount(String(p.amount_difference || '').replace(/^-/, ''), p.currency);
+  doc.moveDown(0.6).font('Helvetica').fontSize(SIZE.normal).fillColor('#92400e');
+  doc.text(`${l10n.t('amount_expected')}: ${l10n.amount(p.crypto_expected || p.crypto_amount, p.currency)}`);
+  doc.text(`${l10n.t('amount_received')}: ${l10n.amount(p.crypto_received, p.currency)}`);
+  doc.font('Helvetica-Bold').text(l10n.t(p.amount_match === 'underpaid' ? 'underpaid_by' : 'overpaid_by', { amount: diff }));
+  doc.font('Helvetica').fillColor('black');
+}
+
+function qrCode(doc, data, side = 110) {
+  const { size, dark } = qrModules(data);
+  const unit = side / size;
+  const x0 = (doc.page.width - side) / 2;
+  if (doc.y + side > doc.page.height - doc.page.margins.bottom) doc.addPage();
+  const y0 = doc.y + 6;
+  doc.save().fillColor('black');
+  for (const [x, y] of dark) doc.rect(x0 + x * unit, y0 + y * unit, unit, unit);
+  doc.fill().restore();
+  doc.x = doc.page.margins.left;
+  doc.y = y0 + side + 6;
+}
+
+function printBlocks(doc, blocks) {
+  for (const b of blocks) {
+    if (b.type === 'line') rule(doc, { width: 0.5, dash: 2 });
+    else if (b.type === 'dline') rule(doc, { width: 1.5 });
+    else if (b.type === 'cut') rule(doc, { width: 1.5, dash: 4 });
+    else if (b.type === 'qr') qrCode(doc, b.data);
+    else if (b.type === 'text') {
+      if (!b.segments.length) { doc.font('Helvetica').fontSize(SIZE.normal).moveDown(0.5); continue; }
+      b.segments.forEach((s, i) => {
+        doc.font(s.bold ? 'Helvetica-Bold' : 'Helvetica')
+          .fontSize(s.big ? SIZE.big : s.small ? SIZE.small : SIZE.normal)
+          .text(s.text, { align: b.align, continued: i < b.segments.length - 1 });
+      });
+    }
+  }
+}
+
+function printPending(doc, p, l10n) {
+  doc.font('Helvetica-Bold').fontSize(SIZE.normal).fillColor('#92400e')
+    .text(l10n.t('pending_badge'));
+  doc.fillColor('black').moveDown(0.5);
+  const row = (label, value) => {
+    if (!value) return;
+    doc.font('Helvetica').fontSize(SIZE.normal).fillColor('#6b7280').text(`${label}: `, { continued: true })
+      .fillColor('black').text(value);
+  };
+  row(l10n.t('payment_id'), p?.payment_id || '-');
+  row(l10n.t('fiat_amount'), p?.invoice_amount ? l10n.amount(p.invoice_amount, p?.invoice_currency) : null);
+  row(l10n.t('crypto_amount'), p?.crypto_amount ? l10n.amount(p.crypto_amount, p?.currency) : null);
+  row(l10n.t('address'), p?.address || null);
+  row(l10n.t('status'), l10n.state(p?.state || p?.status || 'created'));
+  doc.moveDown(0.5).fillColor('#374151')
+    .text(l10n.t('provisional_note'));
+  doc.fillColor('black');
+}
+
+// brand: { name, logoSrc, address, vat, supportEmail, footer }. With a print_string the
+// final receipt is rendered; without one, the provisional receipt for `payment`.
+// l10n comes from i18n.js createLocalizer.
+export function renderReceiptPdf({ brand, l10n = createLocalizer(), print_string = '', payment = null, printedAt = new Date() }) {
+  l10n = pdfLocalizer(l10n);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A5',
+      margin: 36,
+      info: { Title: `${l10n.t('brand_receipt', { brand: brand.name })} ${payment?.payment_id || ''}`.trim(), Producer: brand.name },
+      lang: l10n.locale,
+    });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      header(doc, brand, l10n, printedAt);
+      if (print_string) printBlocks(doc, parseReceiptMarkup(print_string));
+      else printPending(doc, payment, l10n);
+      amountBlock(doc, payment, l10n);
+      supportBlock(doc, brand, l10n);
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
@@ -0,0 +1,34 @@
+// receiptQr.js — QR codes for the <QR> blocks in receipts, encoded in-process
+//
+// Receipt pages embed the code as inline SVG; emails get a PNG (mail clients
+// rarely render inline SVG) and the PDF draws the module matrix directly. Nothing
+// is fetched from an image service, so this works under the CSP and offline.
+import QRCode from 'qrcode';
+
+const QUIET_ZONE = 4; // modules of white border required around the symbol
+
+function encode(data) {
+  return QRCode.create(String(data), { errorCorrectionLevel: 'M' }).modules;
+}
+
+// Dark modules as [x, y] pairs plus the symbol size (without the quiet zone).
+export function qrModules(data) {
+  const m = encode(data);
+  const dark = [];
+  for (let y = 0; y < m.size; y++) {
+    for (let x = 0; x < m.size; x++) if (m.get(x, y)) dark.push([x, y]);
+  }
+  return { size: m.size, dark };
+}
+
+export function qrSvg(data, { px = 160 } = {}) {
+  const { size, dark } = qrModules(data);
+  const dim = size + QUIET_ZONE * 2;
+  const d = dark.map(([x, y]) => `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${px}" height="${px}" shape-rendering="crispEdges" role="img" aria-label="QR code">`
+    + `<rect width="${dim}" height="${dim}" fill="#fff"/><path d="${d}" fill="#000"/></svg>`;
+}
+
+export function qrPng(data, { px = 160 } = {}) {
+  return QRCode.toBuffer(String(data), { type: 'png', errorCorrectionLevel: 'M', margin: QUIET_ZONE, width: px });
+}
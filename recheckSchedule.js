@@ -0,0 +1,88 @@
+// recheckSchedule.js — when to poll CheckPayment for an open payment, and when to give up
+//
+// A payment expires wait_time seconds after it was created (StartPayment's
+// wait_time), or ttlSec when ForumPay sent none. Until then it is rechecked on a
+// backoff schedule: firstDelaySec after creation, then backoffSec[0], backoffSec[1],
+// ... after each check, repeating the last step. The final check runs graceSec
+// after expiry, so a transaction broadcast at the last moment can still confirm;
+// if the payment is still open after it, it is expired. Backoff steps are
+// spread by ±jitterRatio so payments started together are not all due together.
+// A payment whose checks keep failing is never expired unseen; after
+// maxLateFailures failed checks past the final check time it is parked instead
+// (no next check) for someone to look at.
+
+import { toDate } from './dates.js';
+
+function seconds(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function createRecheckSchedule({
+  firstDelaySec = 60,
+  backoffSec = [60, 120, 300, 600],
+  ttlSec = 3600,
+  graceSec = 60,
+  jitterRatio = 0.1,
+  maxLateFailures = 5,
+} = {}) {
+  const steps = backoffSec.length ? backoffSec : [firstDelaySec];
+  const stepMs = (count) => steps[Math.min(count - 1, steps.length - 1)] * 1000 * (1 + (Math.random() * 2 - 1) * jitterRatio);
+
+  function expiresAt(p) {
+    if (p.expires_at) return toDate(p.expires_at);
+    const created = toDate(p.created_at);
+    const base = isNaN(created) ? Date.now() : created.getTime();
+    return new Date(base + (seconds(p.wait_time) ?? ttlSec) * 1000);
+  }
+
+  function finalCheckAt(p) {
+    return new Date(expiresAt(p).getTime() + graceSec * 1000);
+  }
+
+  // Columns for a new payment: its expiry and first recheck.
+  function initial(p) {
+    const created = toDate(p.created_at);
+    const base = isNaN(created) ? Date.now() : created.getTime();
+    const first = new Date(Math.min(base + firstDelaySec * 1000, finalCheckAt(p).getTime()));
+    return { expires_at: expiresAt(p).toISOString(), next_check_at: first.toISOString() };
+  }
+
+  // After a check that left the payment open: { expire: true } when that was the
+  // final check, otherwise the update that schedules the next one.
+  function afterCheck(p, now = new Date()) {
+    const final = finalCheckAt(p);
+    if (now >= final) return { expire: true };
+    const count = (Number(p.check_count) || 0) + 1;
+    const next = new Date(Math.min(now.getTime() + stepMs(count), final.getTime()));
+    return {
+      expire: false,
+      update: {
+        expires_at: expiresAt(p).toISOString(),
+        check_count: count,
+        last_checked_at: now.toISOString(),
+        next_check_at: next.toISOString(),
+      },
+    };
+  }
+
+  // After a failed check (ForumPay unreachable, or the payment unknown there):
+  // back off, but never expire a payment without having seen its final state.
+  // -> { park: true, update } once the failures past the final check run out,
+  // otherwise { park: false, update } with the next check.
+  function afterError(p, now = new Date()) {
+    const final = finalCheckAt(p);
+    const count = (Number(p.check_count) || 0) + 1;
+    const update = { expires_at: expiresAt(p).toISOString(), check_count: count, last_checked_at: now.toISOString() };
+    if (now < final) {
+      update.next_check_at = new Date(Math.min(now.getTime() + stepMs(count), final.getTime())).toISOString();
+      return { park: false, update };
+    }
+    update.late_check_failures = (Number(p.late_check_failures) || 0) + 1;
+    if (update.late_check_failures >= maxLateFailures) return { park: true, update: { ...update, next_check_at: null } };
+    update.next_check_at = new Date(now.getTime() + stepMs(count)).toISOString();
+    return { park: false, update };
+  }
+
+  return { expiresAt, finalCheckAt, initial, afterCheck, afterError };
+}
@@ -0,0 +1,182 @@
+// reconcile.js — match ForumPay settlement/transaction exports against payments
+//
+// parseSettlementFile accepts the CSV or JSON export (header names vary between
+// ForumPay report types, so common aliases are recognised) and returns rows of
+//   { line, payment_id, order_id, invoice_amount, invoice_currency, crypto_amount,
+//     currency, fee, date, status }.
+// reconcile() classifies every row and every locally confirmed payment in the
+// period into items of kind:
+//   matched             found locally, amounts and fee agree
+//   mismatch            found locally, but see issues[] (amount / currency / fee)
+//   missing_local       in the settlement file, not in payments
+//   missing_settlement  confirmed locally in the period, absent from the file
+//   duplicate           the same payment appears again in the file
+// Amounts are compared as exact decimals; fiat and crypto differences have
+// separate tolerances, since one number can't fit both cents and satoshis.
+
+import { toDate } from './dates.js';
+import { DECIMAL_RE, places, toScaled } from './decimal.js';
+
+const FIELDS = {
+  payment_id: ['payment_id', 'paymentid', 'payment id'],
+  order_id: ['order_id', 'orderid', 'order id', 'order', 'reference'],
+  invoice_amount: ['invoice_amount', 'invoice amount', 'fiat_amount', 'fiat amount', 'amount_fiat'],
+  invoice_currency: ['invoice_currency', 'invoice currency', 'fiat_currency', 'fiat currency'],
+  crypto_amount: ['crypto_amount', 'crypto amount', 'amount_crypto', 'received_amount'],
+  currency: ['currency', 'crypto_currency', 'crypto currency', 'asset', 'coin'],
+  fee: ['network_processing_fee', 'network_fee', 'network fee', 'fee', 'fees'],
+  date: ['date', 'created_at', 'created', 'settled_at', 'settlement_date', 'time', 'timestamp'],
+  status: ['status', 'state'],
+};
+
+const norm = (h) => String(h || '').replace(/^\ufeff/, '').trim().toLowerCase();
+
+// RFC 4180: quoted fields may contain the delimiter, quotes ("") and newlines.
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') >>> 0);
+  const delim = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delim) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(v => v !== '')) rows.push(row);
+  if (!rows.length) return [];
+  const header = rows[0].map(norm);
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
+
+function pick(rec, aliases) {
+  for (const a of aliases) {
+    const v = rec[a];
+    if (v != null && String(v).trim() !== '') return String(v).trim();
+  }
+  return null;
+}
+
+// '1,234.50' / ' 12.3 ' -> '1234.50' / '12.3'; anything else -> null.
+function amount(v) {
+  if (v == null) return null;
+  const s = String(v).trim().replace(/\s/g, '');
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) return s.replace(/,/g, '');
+  return /^-?\d+(\.\d+)?$/.test(s) ? s : null;
+}
+
+export function parseSettlementFile(body, contentType = '') {
+  let records;
+  if (typeof body === 'string' && !/json/i.test(contentType) && !/^\s*[[{]/.test(body)) {
+    records = parseCsv(body);
+  } else {
+    const data = typeof body === 'string' ? JSON.parse(body) : body;
+    records = Array.isArray(data) ? data : (data?.rows || data?.transactions || data?.payments || data?.data);
+    if (!Array.isArray(records)) throw new Error('JSON upload must be an array or have rows/transactions/payments/data');
+    records = records.map(r => Object.fromEntries(Object.entries(r || {}).map(([k, v]) => [norm(k), v])));
+  }
+  return records.map((rec, i) => {
+    const date = pick(rec, FIELDS.date);
+    const parsed = date ? toDate(date) : null;
+    return {
+      line: i + 1,
+      payment_id: pick(rec, FIELDS.payment_id),
+      order_id: pick(rec, FIELDS.order_id),
+      invoice_amount: amount(pick(rec, FIELDS.invoice_amount)),
+      invoice_currency: pick(rec, FIELDS.invoice_currency)?.toUpperCase() || null,
+      crypto_amount: amount(pick(rec, FIELDS.crypto_amount)),
+      currency: pick(rec, FIELDS.currency)?.toUpperCase() || null,
+      fee: amount(pick(rec, FIELDS.fee)),
+      date: parsed && !isNaN(parsed) ? parsed.toISOString() : null,
+      status: pick(rec, FIELDS.status),
+    };
+  });
+}
+
+// True when a and b are more than tolerance apart; a missing or non-numeric value
+// differs from anything but another missing one.
+function differs(a, b, tolerance = '0') {
+  const x = String(a ?? '').trim();
+  const y = String(b ?? '').trim();
+  if (!DECIMAL_RE.test(x) || !DECIMAL_RE.test(y)) return x !== y;
+  const scale = Math.max(places(x), places(y), places(tolerance));
+  const diff = toScaled(x, scale) - toScaled(y, scale);
+  return (diff < 0n ? -diff : diff) > toScaled(tolerance, scale);
+}
+
+const LOCAL_FIELDS = [
+  'payment_id', 'order_id', 'state', 'created_at', 'invoice_amount', 'invoice_currency',
+  'crypto_amount', 'crypto_received', 'currency', 'network_processing_fee',
+];
+
+// rows: parseSettlementFile output. payments: local rows for the ids/order ids in
+// the file. confirmedInPeriod: locally confirmed payments the file should cover.
+// tolerance: { fiat: '<decimal>', crypto: (currency) => '<decimal>' }.
+// -> { summary, items }
+export function reconcile({ rows, payments, confirmedInPeriod = [], tolerance = {} }) {
+  const fiatTolerance = tolerance.fiat || '0';
+  const cryptoTolerance = (currency) => (tolerance.crypto ? tolerance.crypto(currency) : '0') || '0';
+  const byId = new Map(payments.filter(p => p.payment_id).map(p => [p.payment_id, p]));
+  const byOrder = new Map(payments.filter(p => p.order_id).map(p => [p.order_id, p]));
+  const seen = new Set();
+  const items = [];
+  const local = (p) => Object.fromEntries(LOCAL_FIELDS.map(k => [k, p[k] ?? null]));
+
+  for (const row of rows) {
+    const p = (row.payment_id && byId.get(row.payment_id)) || (row.order_id && byOrder.get(row.order_id)) || null;
+    const base = { payment_id: p?.payment_id || row.payment_id, order_id: p?.order_id || row.order_id, settlement: row };
+    if (!p) {
+      items.push({ ...base, kind: 'missing_local', issues: [], local: null });
+      continue;
+    }
+    if (seen.has(p.payment_id)) {
+      items.push({ ...base, kind: 'duplicate', issues: [], local: local(p) });
+      continue;
+    }
+    seen.add(p.payment_id);
+    const issues = [];
+    const cryptoTol = cryptoTolerance(row.currency || p.currency);
+    if (row.invoice_amount != null && differs(row.invoice_amount, p.invoice_amount, fiatTolerance)) {
+      issues.push({ field: 'invoice_amount', local: p.invoice_amount ?? null, settlement: row.invoice_amount });
+    }
+    if (row.invoice_currency && p.invoice_currency && row.invoice_currency !== String(p.invoice_currency).toUpperCase()) {
+      issues.push({ field: 'invoice_currency', local: p.invoice_currency, settlement: row.invoice_currency });
+    }
+    // The settlement pays out what arrived, so compare it with what was received
+    // when we know it, else with what was asked for.
+    const localCrypto = p.crypto_received ?? p.crypto_amount ?? null;
+    if (row.crypto_amount != null && differs(row.crypto_amount, localCrypto, cryptoTol)) {
+      issues.push({ field: 'crypto_amount', local: localCrypto, settlement: row.crypto_amount });
+    }
+    if (row.currency && p.currency && row.currency !== String(p.currency).toUpperCase()) {
+      issues.push({ field: 'currency', local: p.currency, settlement: row.currency });
+    }
+    if (row.fee != null && differs(row.fee, p.network_processing_fee ?? '0', cryptoTol)) {
+      issues.push({ field: 'network_processing_fee', local: p.network_processing_fee ?? null, settlement: row.fee });
+    }
+    items.push({ ...base, kind: issues.length ? 'mismatch' : 'matched', issues, local: local(p) });
+  }
+
+  for (const p of confirmedInPeriod) {
+    if (seen.has(p.payment_id)) continue;
+    items.push({ payment_id: p.payment_id, order_id: p.order_id || null, kind: 'missing_settlement', issues: [], settlement: null, local: local(p) });
+  }
+
+  const summary = { rows: rows.length, matched: 0, mismatch: 0, missing_local: 0, missing_settlement: 0, duplicate: 0 };
+  for (const it of items) summary[it.kind]++;
+  summary.fee_mismatch = items.filter(it => it.issues.some(i => i.field === 'network_processing_fee')).length;
+  summary.amount_mismatch = items.filter(it => it.issues.some(i => i.field === 'invoice_amount' || i.field === 'crypto_amount')).length;
+  return { summary, items };
+}
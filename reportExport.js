@@ -0,0 +1,173 @@
+// reportExport.js — streamed payment exports (CSV / NDJSON) and accounting profiles
+//
+// A formatter turns one payment into zero or more output records: the plain
+// exports emit the selected columns; accounting profiles emit journal lines for
+// confirmed payments, in the column layout the target tool imports.
+//   journal     generic double-entry lines (date, ref, account, debit, credit, ...)
+//   xero        Xero manual journal import (debits positive, credits negative)
+//   quickbooks  QuickBooks Online journal entry import
+// Journal per confirmed payment, in invoice currency:
+//   Dr clearing  invoice_amount     Cr sales  invoice_amount - tip     Cr tips  tip
+//   Dr fees      network fee × rate Cr clearing  same   (when fee and rate are known)
+// Amounts are computed in exact minor units, never through a float.
+
+import { toDate } from './dates.js';
+import { DECIMAL_RE, places, toScaled, fromScaled, roundScaled } from './decimal.js';
+
+export const DEFAULT_ACCOUNTS = {
+  clearing: 'Crypto Clearing',
+  sales: 'Sales',
+  tips: 'Tips Payable',
+  fees: 'Crypto Network Fees',
+};
+
+function minorDigits(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+// Amount in minor units (cents) as a BigInt, rounded half away from zero; null
+// when value isn't a number.
+function toMinor(value, digits) {
+  const s = String(value ?? '').trim();
+  if (!DECIMAL_RE.test(s)) return null;
+  return roundScaled(toScaled(s, places(s)), places(s), digits);
+}
+
+// Network fee × rate in minor units; 0n unless both are numbers.
+function feeMinor(fee, rate, digits) {
+  const f = String(fee ?? '').trim();
+  const r = String(rate ?? '').trim();
+  if (!DECIMAL_RE.test(f) || !DECIMAL_RE.test(r)) return 0n;
+  const scale = places(f) + places(r);
+  return roundScaled(toScaled(f, places(f)) * toScaled(r, places(r)), scale, digits);
+}
+
+function localDate(v, tz) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: tz }).format(toDate(v));
+}
+
+// Balanced journal lines for one payment; [] unless it is confirmed with a numeric amount.
+export function journalLines(p, { accounts = DEFAULT_ACCOUNTS, tz = 'UTC' } = {}) {
+  if (p.state !== 'confirmed') return [];
+  const currency = String(p.invoice_currency || '').toUpperCase();
+  const digits = minorDigits(currency);
+  const gross = toMinor(p.invoice_amount, digits);
+  if (gross == null) return [];
+  const tipped = toMinor(p.meta_tip_amount, digits) ?? 0n;
+  const tip = tipped < 0n ? 0n : tipped > gross ? gross : tipped;
+  const fee = feeMinor(p.network_processing_fee, p.rate, digits);
+  const date = localDate(p.created_at, tz);
+  const ref = p.payment_id;
+  const about = [p.order_id, p.currency ? `${p.crypto_amount ?? ''} ${p.currency}`.trim() : null].filter(Boolean).join(' · ');
+  const line = (account, debit, credit, what) => ({
+    date, ref, account, currency,
+    debit: debit ? fromScaled(debit, digits) : '',
+    credit: credit ? fromScaled(credit, digits) : '',
+    description: `${what} ${ref}${about ? ` (${about})` : ''}`,
+    merchant: p.merchant || '',
+  });
+  const lines = [
+    line(accounts.clearing, gross, 0n, 'Crypto payment'),
+    line(accounts.sales, 0n, gross - tip, 'Sale'),
+  ];
+  if (tip) lines.push(line(accounts.tips, 0n, tip, 'Tip'));
+  if (fee > 0n) {
+    lines.push(line(accounts.fees, fee, 0n, 'Network fee'));
+    lines.push(line(accounts.clearing, 0n, fee, 'Network fee'));
+  }
+  return lines;
+}
+
+export const EXPORT_PROFILES = {
+  journal: {
+    columns: ['date', 'ref', 'account', 'debit', 'credit', 'currency', 'description', 'merchant'],
+    map: (l) => l,
+  },
+  xero: {
+    columns: ['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount'],
+    map: (l) => ({
+      '*Narration': `SavoPay ${l.ref}`,
+      '*Date': l.date,
+      Description: l.description,
+      '*AccountCode': l.account,
+      '*TaxRate': 'Tax Exempt',
+      '*Amount': l.debit || `-${l.credit}`,
+    }),
+  },
+  quickbooks: {
+    columns: ['JournalNo', 'JournalDate', 'Currency', 'AccountName', 'Debits', 'Credits', 'Description', 'Name'],
+    map: (l) => ({
+      JournalNo: l.ref,
+      JournalDate: l.date,
+      Currency: l.currency,
+      AccountName: l.account,
+      Debits: l.debit,
+      Credits: l.credit,
+      Description: l.description,
+      Name: l.merchant,
+    }),
+  },
+};
+
+// One CSV field, quoted when it holds a quote, comma or line break.
+export function csvCell(v) {
+  let s = v == null ? '' : v instanceof Date ? v.toISOString() : String(v);
+  if (/[",\n\r]/.test(s)) s = '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+// -> { columns, records(payment) }. Either columns (plain export) or profile.
+export function createExportFormatter({ columns, profile, accounts, tz = 'UTC' }) {
+  if (profile) {
+    const prof = EXPORT_PROFILES[profile];
+    if (!prof) throw new Error(`unknown profile '${profile}'`);
+    return {
+      columns: prof.columns,
+      records: (p) => journalLines(p, { accounts: { ...DEFAULT_ACCOUNTS, ...accounts }, tz }).map(prof.map),
+    };
+  }
+  return {
+    columns,
+    records: (p) => [Object.fromEntries(columns.map(c => [c, p[c] ?? null]))],
+  };
+}
+
+// Writes rows (an async iterable of payments) to res as CSV or NDJSON, waiting
+// for 'drain' so memory stays flat. Stops early if the client goes away.
+export async function streamExport(res, rows, { format, formatter }) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  // Waits for whichever of drain/close comes first and drops the other listener,
+  // so a long export over a slow link doesn't pile them up.
+  const write = (chunk) => {
+    if (res.write(chunk)) return null;
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.once('drain', done);
+      res.once('close', done);
+    });
+  };
+  if (format === 'csv') await write(formatter.columns.map(csvCell).join(',') + '\n');
+  let count = 0;
+  for await (const p of rows) {
+    if (closed) return count;
+    for (const rec of formatter.records(p)) {
+      const line = format === 'csv'
+        ? formatter.columns.map(c => csvCell(rec[c])).join(',') + '\n'
+        : JSON.stringify(rec) + '\n';
+      const wait = write(line);
+      if (wait) await wait;
+      count++;
+    }
+  }
+  res.end();
+  return count;
+}
@@ -0,0 +1,131 @@
+// scheduler.js — the background recheck worker
+//
+// Each tick claims the open payments whose next_check_at is due. The claim is a
+// lease taken with FOR UPDATE SKIP LOCKED (store.claimDueRechecks), so any
+// number of instances can run the scheduler without checking a payment twice;
+// if an instance dies mid-check its lease runs out and another picks the payment
+// up. Claimed payments are checked at most `concurrency` at a time. Ticks are
+// chained timeouts with random jitter, so replicas drift apart instead of
+// hitting the database and ForumPay in lockstep, and a slow tick never overlaps
+// the next.
+//
+// Every tick updates this instance's scheduler_jobs row (last and next run);
+// ticks that claimed work or failed are also kept in scheduler_runs.
+
+const MAX_RECORDED_FAILURES = 20;
+
+// check(payment) -> 'expired' | other outcome; throws when the check failed.
+export function createRecheckScheduler({
+  store,
+  check,
+  job = 'payment-recheck',
+  instanceId,
+  intervalMs = 60_000,
+  jitterMs = 5_000,
+  batchSize = 20,
+  concurrency = 4,
+  leaseSec = 120,
+}) {
+  let timer = null;
+  let stopped = true;
+  let running = false;
+  let nextRunAt = null;
+
+  async function runBatch(payments) {
+    const stats = { succeeded: 0, failed: 0, expired: 0, failures: [] };
+    const queue = [...payments];
+    const worker = async () => {
+      for (let p = queue.shift(); p; p = queue.shift()) {
+        try {
+          if ((await check(p)) === 'expired') stats.expired++;
+          stats.succeeded++;
+        } catch (e) {
+          stats.failed++;
+          console.error(`${job} check error`, p.payment_id, e.message);
+          if (stats.failures.length < MAX_RECORDED_FAILURES) {
+            stats.failures.push({ payment_id: p.payment_id, error: String(e.message || e) });
+          }
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, payments.length)) }, worker));
+    return stats;
+  }
+
+  // One pass: claim, check, record. Returns the run summary.
+  async function tick() {
+    if (running) return null;
+    running = true;
+    const started = new Date();
+    const run = {
+      job, instance_id: instanceId, started_at: started.toISOString(),
+      claimed: 0, succeeded: 0, failed: 0, expired: 0, max_lag_ms: null, error: null, failures: [],
+    };
+    try {
+      const due = await store.claimDueRechecks(batchSize, leaseSec);
+      run.claimed = due.length;
+      const lags = due.map(({ due_at }) => started - new Date(due_at)).filter(n => Number.isFinite(n));
+      if (lags.length) run.max_lag_ms = Math.max(0, ...lags);
+      Object.assign(run, await runBatch(due.map(({ due_at, ...p }) => p)));
+    } catch (e) {
+      run.error = String(e.message || e);
+      console.error(`${job} tick error`, run.error);
+    } finally {
+      running = false;
+    }
+    run.finished_at = new Date().toISOString();
+    try {
+      if (run.claimed || run.error) await store.recordSchedulerRun(run);
+      await store.updateSchedulerJob({
+        job, instance_id: instanceId,
+        last_run_at: run.started_at,
+        last_status: run.error ? 'error' : run.failed ? 'partial' : 'ok',
+        last_error: run.error || run.failures[0]?.error || null,
+        next_run_at: stopped ? null : nextRunAt,
+      });
+    } catch (e) {
+      console.error(`${job} run record error`, e.message);
+    }
+    return run;
+  }
+
+  // The next run time is fixed before the tick, so it can be recorded with it;
+  // its timer is only set once the tick is over.
+  function planNext() {
+    const delay = Math.max(0, intervalMs + Math.round((Math.random() * 2 - 1) * jitterMs));
+    nextRunAt = new Date(Date.now() + delay).toISOString();
+    return delay;
+  }
+
+  function loop(delay) {
+    timer = setTimeout(async () => {
+      const at = Date.now();
+      const next = planNext();
+      await tick();
+      if (!stopped) loop(Math.max(0, at + next - Date.now()));
+    }, delay);
+  }
+
+  function start() {
+    if (stopped) {
+      stopped = false;
+      loop(planNext());
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+  }
+
+  function status() {
+    return {
+      job, instance_id: instanceId, running, next_run_at: nextRunAt,
+      config: { interval_ms: intervalMs, jitter_ms: jitterMs, batch_size: batchSize, concurrency, lease_sec: leaseSec },
+    };
+  }
+
+  return { start, stop, tick, status };
+}
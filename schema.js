@@ -0,0 +1,82 @@
+// schema.js — column lists shared by the Postgres and in-memory stores
+
+// Columns returned by the range report (JSON and CSV), in output order.
+export const REPORT_COLUMNS = [
+  'created_at', 'payment_id', 'order_id', 'invoice_amount', 'invoice_currency',
+  'crypto_amount', 'currency', 'state', 'status', 'customer_email', 'payer_id',
+  'confirmed', 'confirmed_time', 'cancelled_at', 'cancel_reason',
+  'crypto_expected', 'crypto_received', 'amount_match', 'amount_difference',
+];
+
+// Named column sets for /report/export. Custom lists may use any EXPORT_COLUMNS
+// entry; secrets (access_token, access_url), print_string and raw_json are left out.
+export const EXPORT_COLUMN_SETS = {
+  basic: REPORT_COLUMNS,
+  amounts: [
+    'created_at', 'payment_id', 'order_id', 'merchant', 'state', 'invoice_amount', 'invoice_currency',
+    'meta_base_amount', 'meta_tip_amount', 'meta_tip_percent', 'crypto_amount', 'currency', 'rate',
+    'network_processing_fee', 'fast_transaction_fee', 'fast_transaction_fee_currency', 'amount_exchange',
+    'crypto_expected', 'crypto_received', 'amount_match', 'amount_difference',
+  ],
+  full: [
+    'created_at', 'updated_at', 'payment_id', 'order_id', 'pos_id', 'merchant', 'sid', 'merchant_id',
+    'state', 'status', 'confirmed', 'confirmed_time', 'invoice_amount', 'invoice_currency',
+    'meta_base_amount', 'meta_tip_amount', 'meta_tip_percent', 'crypto_amount', 'currency', 'amount', 'rate',
+    'network_processing_fee', 'fast_transaction_fee', 'fast_transaction_fee_currency', 'amount_exchange',
+    'address', 'payer_id', 'customer_email', 'locale', 'invoice_date', 'last_transaction_time',
+    'cancelled_at', 'cancel_reason', 'receipt_sent_at',
+    'crypto_expected', 'crypto_received', 'amount_match', 'amount_difference',
+    'follow_up', 'follow_up_at', 'follow_up_resolved_at', 'expires_at',
+  ],
+};
+
+export const EXPORT_COLUMNS = new Set(Object.values(EXPORT_COLUMN_SETS).flat());
+
+// Dimensions the grouped reports can group by; 'day' is the local created_at date.
+export const REPORT_GROUP_DIMENSIONS = ['day', 'merchant', 'currency', 'invoice_currency', 'state', 'amount_match'];
+
+// Writable payments columns. Keys outside this list are rejected by saveStart/update
+// rather than interpolated into SQL; adding a column needs a migration as well.
+export const PAYMENT_COLUMNS = [
+  'payment_id', 'order_id', 'pos_id', 'sid', 'merchant', 'merchant_id', 'address',
+  'currency', 'amount', 'invoice_amount', 'invoice_currency', 'crypto_amount',
+  'status', 'state', 'confirmed', 'confirmed_time', 'payer_id', 'customer_email',
+  'print_string', 'created_at', 'amount_exchange', 'network_processing_fee',
+  'last_transaction_time', 'invoice_date', 'raw_json',
+  'access_url', 'access_token', 'qr', 'qr_img', 'qr_alt', 'qr_alt_img', 'notices',
+  'rate', 'fast_transaction_fee', 'fast_transaction_fee_currency', 'wait_time',
+  'min_confirmations', 'meta_tip_percent', 'meta_tip_amount', 'meta_base_amount',
+  'cancelled_at', 'cancel_reason',
+  'receipt_claimed_at', 'receipt_sent_at', 'receipt_message_id', 'receipt_error',
+  'locale',
+  'crypto_expected', 'crypto_received', 'amount_match', 'amount_difference',
+  'follow_up', 'follow_up_at', 'follow_up_resolved_at', 'follow_up_note',
+  'expires_at', 'next_check_at', 'check_count', 'last_checked_at', 'late_check_failures',
+];
+
+// JSONB columns; values are serialised explicitly so arrays are not sent as Postgres arrays.
+export const PAYMENT_JSON_COLUMNS = new Set(['raw_json', 'notices']);
+
+const PAYMENT_COLUMN_SET = new Set(PAYMENT_COLUMNS);
+
+export function assertPaymentColumns(keys) {
+  const unknown = keys.filter(k => !PAYMENT_COLUMN_SET.has(k));
+  if (unknown.length) throw new Error(`unknown payments column(s): ${unknown.join(', ')}`);
+}
+
+// searchPayments pages newest first by (created_at, payment_id). The cursor is the
+// last row's pair; created_at travels as an ISO string with microseconds so rows
+// inserted within the same millisecond are not skipped.
+export function encodePaymentCursor(created_at, payment_id) {
+  return Buffer.from(JSON.stringify([created_at, payment_id])).toString('base64url');
+}
+
+export function decodePaymentCursor(cursor) {
+  try {
+    const [created_at, payment_id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof created_at === 'string' && typeof payment_id === 'string' && !isNaN(Date.parse(created_at))) {
+      return { created_at, payment_id };
+    }
+  } catch {}
+  throw new Error('invalid cursor');
+}
@@ -1,87 +1,130 @@
 // store.js — Postgres access layer
-import pg from 'pg';
-
-const { Pool } = pg;
-
-function buildPool() {
-  const cs = process.env.DATABASE_URL;
-  if (!cs) throw new Error('DATABASE_URL is not set');
-  const ssl =
-    /sslmode=require/.test(cs) || (process.env.PGSSLMODE || '').toLowerCase() === 'require'
-      ? { rejectUnauthorized: false }
-      : false;
-  return new Pool({ connectionString: cs, ssl });
+import { buildPool } from './db.js';
+import { MemoryStore } from './memoryStore.js';
+import { runMigrations, migrationStatus } from './migrations.js';
+import {
+  REPORT_COLUMNS, REPORT_GROUP_DIMENSIONS, PAYMENT_JSON_COLUMNS, assertPaymentColumns,
+  encodePaymentCursor, decodePaymentCursor,
+} from './schema.js';
+
+function toParam(col, v) {
+  if (v === undefined) return null;
+  return PAYMENT_JSON_COLUMNS.has(col) && v !== null ? JSON.stringify(v) : v;
+}
+
+// Limits a payments query to one merchant's rows ({ merchant, sid } from auth.js).
+function scopeFilter(scope, params) {
+  if (!scope) return null;
+  params.push(scope.sid || null, scope.merchant);
+  return `(sid = $${params.length - 1} OR merchant = $${params.length})`;
 }
 
-class Store {
+const API_KEY_COLUMNS = 'id, merchant, sid, name, key_prefix, created_at, last_used_at, revoked_at';
+
+const RECONCILIATION_RUN_COLUMNS =
+  'id, source_name, format, period_from::text AS period_from, period_to::text AS period_to, tolerance, actor, summary, created_at';
+
+// Columns a repeated saveStart overwrites; every other column keeps its stored
+// value unless the new row supplies one.
+const SAVE_START_OVERWRITE = new Set([
+  'order_id', 'pos_id', 'address', 'currency', 'invoice_amount', 'invoice_currency',
+  'crypto_amount', 'status', 'state', 'confirmed', 'confirmed_time', 'payer_id',
+  'customer_email',
+]);
+
+export class Store {
   constructor() {
+    this.kind = 'postgres';
     this._pool = buildPool();
-    this._ready = this.ensureTables();
-  }
-
-  async ensureTables() {
-    const q1 = `
-      CREATE TABLE IF NOT EXISTS payments (
-        id                   SERIAL PRIMARY KEY,
-        payment_id           TEXT UNIQUE,
-        order_id             TEXT,
-        status               TEXT,
-        currency             TEXT,
-        amount               TEXT,
-        invoice_currency     TEXT,
-        invoice_amount       TEXT,
-        raw_json             JSONB,
-        updated_at           TIMESTAMPTZ DEFAULT now(),
-        pos_id               TEXT,
-        address              TEXT,
-        crypto_amount        TEXT,
-        state                TEXT,
-        confirmed            INT,
-        confirmed_time       TEXT,
-        payer_id             TEXT,
-        customer_email       TEXT,
-        print_string         TEXT,
-        created_at           TIMESTAMPTZ DEFAULT now(),
-        amount_exchange      TEXT,
-        network_processing_fee TEXT,
-        last_transaction_time TEXT,
-        invoice_date         TEXT
-      );
-      CREATE INDEX IF NOT EXISTS idx_payments_created_at_desc ON payments (created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_payments_state ON payments (state);
-      CREATE UNIQUE INDEX IF NOT EXISTS uniq_payments_payment_id ON payments (payment_id);
-    `;
-    const q2 = `
-      CREATE TABLE IF NOT EXISTS webhook_events (
-        id           BIGSERIAL PRIMARY KEY,
-        payment_id   TEXT,
-        status       TEXT,                 -- received | invalid_token | bad_request | updated | error
-        error        TEXT,
-        payload      JSONB,
-        received_at  TIMESTAMPTZ DEFAULT now()
-      );
-      CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events (received_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_webhook_events_payment_id ON webhook_events (payment_id);
-      CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events (status);
-    `;
-    const c = await this._pool.connect();
-    try {
-      await c.query(q1);
-      await c.query(q2);
-    } finally {
-      c.release();
-    }
+    this._ready = this.migrate();
+    // Every method awaits _ready and rethrows a failed migration; logging here keeps
+    // it from being an unhandled rejection that exits the process before then.
+    this._ready.catch(e => console.error('store migration error', e.message));
+  }
+
+  async migrate() {
+    await runMigrations(this._pool);
+  }
+
+  async schemaStatus() {
+    await this._ready;
+    return { store: this.kind, ...(await migrationStatus(this._pool)) };
+  }
+
+  async close() {
+    await this._pool.end();
   }
 
-  async listPayments(limit = 200) {
+  async listPayments(limit = 200, scope = null) {
     await this._ready;
+    const params = [];
+    const where = scopeFilter(scope, params);
+    params.push(Math.min(limit, 1000));
     const { rows } = await this._pool.query(
-      `SELECT * FROM payments ORDER BY created_at DESC LIMIT $1`,
-      [Math.min(limit, 1000)]
+      `SELECT * FROM payments ${where ? 'WHERE ' + where : ''} ORDER BY created_at DESC LIMIT $${params.length}`,
+      params
     );
     return rows;
   }
 
+  // Filtered, keyset-paginated listing. states is an array; q is a case-insensitive
+  // prefix of order_id, payment_id, customer_email or payer_id; created_from is
+  // inclusive and created_before exclusive; follow_up is 'open' or 'resolved'.
+  // Returns { rows, total, next_cursor }.
+  async searchPayments({
+    scope = null, states = null, merchant = null, sid = null, currency = null, invoice_currency = null,
+    created_from = null, created_before = null, q = null, cursor = null, limit = 50,
+    amount_match = null, follow_up = null,
+  } = {}) {
+    await this._ready;
+    const where = [];
+    const params = [];
+    const add = (sql, v) => { params.push(v); where.push(sql.replaceAll('?', `$${params.length}`)); };
+    const scoped = scopeFilter(scope, params);
+    if (scoped) where.push(scoped);
+    if (states?.length) add('state = ANY(?)', states);
+    if (merchant) add('merchant = ?', merchant);
+    if (sid) add('sid = ?', sid);
+    if (currency) add('upper(currency) = upper(?)', currency);
+    if (invoice_currency) add('upper(invoice_currency) = upper(?)', invoice_currency);
+    if (created_from) add('created_at >= ?::timestamptz', created_from);
+    if (created_before) add('created_at < ?::timestamptz', created_before);
+    if (amount_match) add('amount_match = ?', amount_match);
+    if (follow_up === 'open') where.push('follow_up IS NOT NULL AND follow_up_resolved_at IS NULL');
+    if (follow_up === 'resolved') where.push('follow_up_resolved_at IS NOT NULL');
+    if (q) {
+      add(`(lower(order_id) LIKE ? OR lower(payment_id) LIKE ? OR lower(customer_email) LIKE ? OR lower(payer_id) LIKE ?)`,
+        String(q).toLowerCase().replace(/[\\%_]/g, c => '\\' + c) + '%');
+    }
+    const filter = where.length ? 'WHERE ' + where.join(' AND ') : '';
+    const { rows: [{ total }] } = await this._pool.query(`SELECT COUNT(*)::int AS total FROM payments ${filter}`, params);
+
+    const pageWhere = [...where];
+    const pageParams = [...params];
+    if (cursor) {
+      const c = decodePaymentCursor(cursor);
+      pageParams.push(c.created_at, c.payment_id);
+      pageWhere.push(`(created_at, payment_id) < ($${pageParams.length - 1}::timestamptz, $${pageParams.length})`);
+    }
+    pageParams.push(Math.min(limit, 500) + 1);
+    const { rows } = await this._pool.query(
+      `SELECT *, to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS _cursor_at
+       FROM payments
+       ${pageWhere.length ? 'WHERE ' + pageWhere.join(' AND ') : ''}
+       ORDER BY created_at DESC, payment_id DESC
+       LIMIT $${pageParams.length}`,
+      pageParams
+    );
+    const more = rows.length > Math.min(limit, 500);
+    const page = more ? rows.slice(0, -1) : rows;
+    const last = page[page.length - 1];
+    return {
+      rows: page.map(({ _cursor_at, ...p }) => p),
+      total,
+      next_cursor: more ? encodePaymentCursor(last._cursor_at, last.payment_id) : null,
+    };
+  }
+
   async getPayment(payment_id) {
     await this._ready;
     const { rows } = await this._pool.query(
@@ -93,39 +136,21 @@ class Store {
 
   async saveStart(p) {
     await this._ready;
-    const fields = [
-      'payment_id','order_id','pos_id','address','currency',
-      'invoice_amount','invoice_currency','crypto_amount','status','state',
-      'confirmed','confirmed_time','payer_id','customer_email','print_string',
-      'created_at','amount_exchange','network_processing_fee','last_transaction_time',
-      'invoice_date','amount'
-    ];
+    const fields = Object.keys(p).filter(k => p[k] !== undefined);
+    assertPaymentColumns(fields);
+    if (!fields.includes('payment_id')) throw new Error('saveStart requires payment_id');
     const vals = fields.map((k, i) => `$${i + 1}`);
-    const params = fields.map(k => p[k] ?? null);
+    const params = fields.map(k => toParam(k, p[k]));
+    const sets = fields
+      .filter(k => k !== 'payment_id' && k !== 'created_at')
+      .map(k => SAVE_START_OVERWRITE.has(k)
+        ? `${k} = EXCLUDED.${k}`
+        : `${k} = COALESCE(EXCLUDED.${k}, payments.${k})`);
     const sql = `
       INSERT INTO payments (${fields.join(',')})
       VALUES (${vals.join(',')})
       ON CONFLICT (payment_id) DO UPDATE SET
-        order_id = EXCLUDED.order_id,
-        pos_id = EXCLUDED.pos_id,
-        address = EXCLUDED.address,
-        currency = EXCLUDED.currency,
-        invoice_amount = EXCLUDED.invoice_amount,
-        invoice_currency = EXCLUDED.invoice_currency,
-        crypto_amount = EXCLUDED.crypto_amount,
-        status = EXCLUDED.status,
-        state = EXCLUDED.state,
-        confirmed = EXCLUDED.confirmed,
-        confirmed_time = EXCLUDED.confirmed_time,
-        payer_id = EXCLUDED.payer_id,
-        customer_email = EXCLUDED.customer_email,
-        print_string = COALESCE(EXCLUDED.print_string, payments.print_string),
-        amount_exchange = COALESCE(EXCLUDED.amount_exchange, payments.amount_exchange),
-        network_processing_fee = COALESCE(EXCLUDED.network_processing_fee, payments.network_processing_fee),
-        last_transaction_time = COALESCE(EXCLUDED.last_transaction_time, payments.last_transaction_time),
-        invoice_date = COALESCE(EXCLUDED.invoice_date, payments.invoice_date),
-        amount = COALESCE(EXCLUDED.amount, payments.amount),
-        updated_at = now()
+        ${[...sets, 'updated_at = now()'].join(',\n        ')}
     `;
     await this._pool.query(sql, params);
   }
@@ -134,8 +159,9 @@ class Store {
     await this._ready;
     const keys = Object.keys(update);
     if (keys.length === 0) return;
+    assertPaymentColumns(keys);
     const sets = keys.map((k, i) => `${k} = $${i + 1}`);
-    const params = keys.map(k => update[k]);
+    const params = keys.map(k => toParam(k, update[k]));
     params.push(payment_id);
     await this._pool.query(
       `UPDATE payments SET ${sets.join(', ')}, updated_at = now() WHERE payment_id = $${params.length}`,
@@ -143,38 +169,582 @@ class Store {
     );
   }
 
-  async listPendingOlderThan(minAgeSeconds = 60, limit = 50) {
+  // update() only if the payment's state is still `state` (null for none yet):
+  // a compare-and-set, so a writer that read a stale state can't overwrite a newer
+  // one. Returns false when nothing was written.
+  async updateIfState(payment_id, state, update) {
+    await this._ready;
+    const keys = Object.keys(update);
+    assertPaymentColumns(keys);
+    const sets = keys.map((k, i) => `${k} = $${i + 1}`);
+    const params = keys.map(k => toParam(k, update[k]));
+    params.push(payment_id, state ?? null);
+    const { rowCount } = await this._pool.query(
+      `UPDATE payments SET ${[...sets, 'updated_at = now()'].join(', ')}
+       WHERE payment_id = $${params.length - 1} AND state IS NOT DISTINCT FROM $${params.length}`,
+      params
+    );
+    return rowCount > 0;
+  }
+
+  // Marks the automatic receipt as being sent; only the first caller gets true.
+  async claimReceiptSend(payment_id) {
+    await this._ready;
+    const { rowCount } = await this._pool.query(
+      `UPDATE payments SET receipt_claimed_at = now()
+       WHERE payment_id = $1 AND receipt_claimed_at IS NULL AND receipt_sent_at IS NULL`,
+      [payment_id]
+    );
+    return rowCount > 0;
+  }
+
+  // Leases up to limit open payments whose recheck is due, most overdue first:
+  // next_check_at moves leaseSec ahead so no other instance claims them, and
+  // due_at carries the time each check was due. The scheduler books the real
+  // next check afterwards.
+  async claimDueRechecks(limit = 20, leaseSec = 120) {
     await this._ready;
     const { rows } = await this._pool.query(
-      `SELECT * FROM payments
-       WHERE (state IS NULL OR state = 'created')
-         AND now() - created_at > ($1 || ' seconds')::interval
-       ORDER BY created_at ASC
-       LIMIT $2`,
-      [minAgeSeconds, Math.min(limit, 200)]
+      `UPDATE payments p
+       SET next_check_at = now() + ($2 || ' seconds')::interval
+       FROM (
+         SELECT payment_id, next_check_at AS due_at FROM payments
+         WHERE next_check_at <= now()
+           AND (state IS NULL OR state IN ('created', 'waiting'))
+         ORDER BY next_check_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       ) d
+       WHERE p.payment_id = d.payment_id
+       RETURNING p.*, d.due_at`,
+      [Math.min(limit, 200), leaseSec]
     );
     return rows;
   }
 
-  async logWebhookEvent({ payment_id = null, status = 'received', error = null, payload = null }) {
+  // The backlog of due rechecks: how many, and since when the oldest has waited.
+  async recheckBacklog() {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT COUNT(*)::int AS due, MIN(next_check_at) AS oldest_due_at
+       FROM payments
+       WHERE next_check_at <= now() AND (state IS NULL OR state IN ('created', 'waiting'))`
+    );
+    return rows[0];
+  }
+
+  async recordStatusChange({ payment_id, from_state = null, to_state, status = null, source, actor = null, detail = null }) {
     await this._ready;
     await this._pool.query(
-      `INSERT INTO webhook_events (payment_id, status, error, payload) VALUES ($1,$2,$3,$4)`,
-      [payment_id, status, error, payload]
+      `INSERT INTO payment_status_history (payment_id, from_state, to_state, status, source, actor, detail)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [payment_id, from_state, to_state, status, source, actor, detail == null ? null : JSON.stringify(detail)]
+    );
+  }
+
+  // afterId limits the list to entries recorded after that one (event stream resume).
+  async listStatusHistory(payment_id, { afterId = 0 } = {}) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT id, from_state, to_state, status, source, actor, detail, created_at
+       FROM payment_status_history WHERE payment_id = $1 AND id > $2 ORDER BY id`,
+      [payment_id, afterId]
     );
+    return rows;
   }
 
-  async listWebhookEvents(limit = 100) {
+  async logWebhookEvent({ payment_id = null, status = 'received', error = null, payload = null, replay_of = null, auth = null }) {
     await this._ready;
     const { rows } = await this._pool.query(
-      `SELECT id, payment_id, status, error, payload, received_at
+      `INSERT INTO webhook_events (payment_id, status, error, payload, replay_of, auth)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+      [payment_id, status, error, payload, replay_of, auth]
+    );
+    return rows[0].id;
+  }
+
+  async getWebhookEvent(id) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT id, payment_id, status, error, payload, received_at, replay_of, auth
+       FROM webhook_events WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // Filters are optional; from/to bound received_at (inclusive, ISO timestamps).
+  // replayable: leaves out rejected (invalid_token) callbacks and events that a
+  // replay, of them or of the same original, has already handled.
+  async listWebhookEvents({ limit = 100, status = null, payment_id = null, from = null, to = null, replayable = false } = {}) {
+    await this._ready;
+    const where = [];
+    const params = [];
+    if (status) { params.push(status); where.push(`status = $${params.length}`); }
+    if (replayable) {
+      where.push(`status <> 'invalid_token'`);
+      where.push(`NOT EXISTS (SELECT 1 FROM webhook_events r WHERE r.status = 'updated'
+                   AND r.replay_of IN (webhook_events.id, webhook_events.replay_of))`);
+    }
+    if (payment_id) { params.push(payment_id); where.push(`payment_id = $${params.length}`); }
+    if (from) { params.push(from); where.push(`received_at >= $${params.length}::timestamptz`); }
+    if (to) { params.push(to); where.push(`received_at <= $${params.length}::timestamptz`); }
+    params.push(Math.min(limit, 500));
+    const { rows } = await this._pool.query(
+      `SELECT id, payment_id, status, error, payload, received_at, replay_of, auth
        FROM webhook_events
-       ORDER BY received_at DESC
+       ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY received_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows;
+  }
+
+  async createWebhookDelivery({ event_id, event_type, merchant, payment_id = null, url, payload }) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `INSERT INTO merchant_webhook_deliveries (event_id, event_type, merchant, payment_id, url, payload)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+      [event_id, event_type, merchant, payment_id, url, JSON.stringify(payload)]
+    );
+    return rows[0];
+  }
+
+  // Leases due deliveries for leaseSec so other instances skip them while this one sends.
+  async claimDueWebhookDeliveries(limit = 20, leaseSec = 60) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `UPDATE merchant_webhook_deliveries
+       SET next_attempt_at = now() + ($2 || ' seconds')::interval
+       WHERE id IN (
+         SELECT id FROM merchant_webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= now()
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [Math.min(limit, 100), leaseSec]
+    );
+    return rows;
+  }
+
+  async recordWebhookAttempt(delivery_id, { attempt, status_code = null, error = null, duration_ms = null }) {
+    await this._ready;
+    await this._pool.query(
+      `INSERT INTO merchant_webhook_attempts (delivery_id, attempt, status_code, error, duration_ms)
+       VALUES ($1,$2,$3,$4,$5)`,
+      [delivery_id, attempt, status_code, error, duration_ms]
+    );
+  }
+
+  // patch: status, attempts, last_status_code, last_error, delivered (bool), retry_in_sec
+  async updateWebhookDelivery(id, { status, attempts, last_status_code = null, last_error = null, delivered = false, retry_in_sec = 0 }) {
+    await this._ready;
+    await this._pool.query(
+      `UPDATE merchant_webhook_deliveries
+       SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+           delivered_at = CASE WHEN $6 THEN now() ELSE delivered_at END,
+           next_attempt_at = now() + ($7 || ' seconds')::interval
+       WHERE id = $1`,
+      [id, status, attempts, last_status_code, last_error, delivered, retry_in_sec]
+    );
+  }
+
+  async getWebhookDelivery(id) {
+    await this._ready;
+    const { rows } = await this._pool.query(`SELECT * FROM merchant_webhook_deliveries WHERE id = $1`, [id]);
+    if (!rows[0]) return null;
+    const attempts = await this._pool.query(
+      `SELECT attempt, status_code, error, duration_ms, attempted_at
+       FROM merchant_webhook_attempts WHERE delivery_id = $1 ORDER BY attempt`,
+      [id]
+    );
+    return { ...rows[0], attempt_log: attempts.rows };
+  }
+
+  async listWebhookDeliveries({ limit = 100, status = null, merchant = null, payment_id = null } = {}) {
+    await this._ready;
+    const where = [];
+    const params = [];
+    if (status) { params.push(status); where.push(`status = $${params.length}`); }
+    if (merchant) { params.push(merchant); where.push(`merchant = $${params.length}`); }
+    if (payment_id) { params.push(payment_id); where.push(`payment_id = $${params.length}`); }
+    params.push(Math.min(limit, 500));
+    const { rows } = await this._pool.query(
+      `SELECT id, event_id, event_type, merchant, payment_id, url, status, attempts,
+              next_attempt_at, last_status_code, last_error, created_at, delivered_at
+       FROM merchant_webhook_deliveries
+       ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows;
+  }
+
+  // New messages are due at once; the outbox worker sends them.
+  async createEmail({ to_address, subject, html, attachments = [], kind, payment_id = null }) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `INSERT INTO email_outbox (to_address, subject, html, attachments, kind, payment_id)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+      [to_address, subject, html, JSON.stringify(attachments), kind, payment_id]
+    );
+    return rows[0];
+  }
+
+  async claimDueEmails(limit = 20, leaseSec = 120) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `UPDATE email_outbox
+       SET next_attempt_at = now() + ($2 || ' seconds')::interval
+       WHERE id IN (
+         SELECT id FROM email_outbox
+         WHERE status = 'queued' AND next_attempt_at <= now()
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [Math.min(limit, 100), leaseSec]
+    );
+    return rows;
+  }
+
+  async updateEmail(id, { status, attempts, message_id = null, last_error = null, transport = null, sent = false, retry_in_sec = 0 }) {
+    await this._ready;
+    await this._pool.query(
+      `UPDATE email_outbox
+       SET status = $2, attempts = $3, message_id = COALESCE($4, message_id), last_error = $5,
+           transport = $6,
+           sent_at = CASE WHEN $7 THEN now() ELSE sent_at END,
+           next_attempt_at = now() + ($8 || ' seconds')::interval
+       WHERE id = $1`,
+      [id, status, attempts, message_id, last_error, transport, sent, retry_in_sec]
+    );
+  }
+
+  async getEmail(id) {
+    await this._ready;
+    const { rows } = await this._pool.query(`SELECT * FROM email_outbox WHERE id = $1`, [id]);
+    return rows[0] || null;
+  }
+
+  async listEmails({ limit = 100, status = null, payment_id = null } = {}) {
+    await this._ready;
+    const where = [];
+    const params = [];
+    if (status) { params.push(status); where.push(`status = $${params.length}`); }
+    if (payment_id) { params.push(payment_id); where.push(`payment_id = $${params.length}`); }
+    params.push(Math.min(limit, 500));
+    const { rows } = await this._pool.query(
+      `SELECT id, kind, payment_id, to_address, subject, status, attempts, next_attempt_at,
+              last_error, message_id, transport, created_at, sent_at,
+              jsonb_array_length(attachments) AS attachment_count
+       FROM email_outbox
+       ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows;
+  }
+
+  // Returns { claimed: true } when this caller owns the key, otherwise the
+  // existing record so the caller can replay or reject.
+  async claimIdempotencyKey({ scope, key, fingerprint, ttlSec }) {
+    await this._ready;
+    await this._pool.query(`DELETE FROM idempotency_keys WHERE expires_at < now()`);
+    const { rows } = await this._pool.query(
+      `INSERT INTO idempotency_keys (scope, key, fingerprint, expires_at)
+       VALUES ($1, $2, $3, now() + ($4 || ' seconds')::interval)
+       ON CONFLICT (scope, key) DO NOTHING
+       RETURNING key`,
+      [scope, key, fingerprint, ttlSec]
+    );
+    if (rows.length) return { claimed: true };
+    const existing = await this._pool.query(
+      `SELECT fingerprint, status_code, response FROM idempotency_keys WHERE scope = $1 AND key = $2`,
+      [scope, key]
+    );
+    return { claimed: false, record: existing.rows[0] || null };
+  }
+
+  async completeIdempotencyKey({ scope, key, status_code, response }) {
+    await this._ready;
+    await this._pool.query(
+      `UPDATE idempotency_keys SET status_code = $3, response = $4 WHERE scope = $1 AND key = $2`,
+      [scope, key, status_code, JSON.stringify(response ?? null)]
+    );
+  }
+
+  async releaseIdempotencyKey({ scope, key }) {
+    await this._ready;
+    await this._pool.query(`DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2`, [scope, key]);
+  }
+
+  // Aggregates payments created between the local dates from..to (inclusive) in
+  // time zone tz, grouped by any of REPORT_GROUP_DIMENSIONS. Counts cover every
+  // payment; amount sums only confirmed ones (money that actually arrived) and are
+  // decimal strings over the rows whose amount parses as a number, null when none do.
+  async reportGroups({ from, to, tz = 'UTC', scope = null, groupBy = [] }) {
+    await this._ready;
+    const dims = groupBy.filter(d => REPORT_GROUP_DIMENSIONS.includes(d));
+    const params = [from, to, tz];
+    const where = scopeFilter(scope, params);
+    const num = (col) => `CASE WHEN ${col} ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN ${col}::numeric END`;
+    const { rows } = await this._pool.query(
+      `WITH p AS (
+         SELECT merchant, currency, invoice_currency, state, amount_match,
+                to_char(created_at AT TIME ZONE $3, 'YYYY-MM-DD') AS day,
+                ${num('invoice_amount')} AS fiat,
+                ${num('crypto_amount')} AS crypto,
+                ${num('crypto_received')} AS received,
+                ${num('network_processing_fee')} AS fee,
+                ${num('meta_tip_amount')} AS tip
+         FROM payments
+         WHERE (created_at AT TIME ZONE $3)::date BETWEEN $1::date AND $2::date ${where ? 'AND ' + where : ''}
+       )
+       SELECT ${dims.map(d => d + ', ').join('')}
+              COUNT(*)::int AS count,
+              COUNT(*) FILTER (WHERE state = 'confirmed')::int AS confirmed_count,
+              COUNT(*) FILTER (WHERE state = 'cancelled')::int AS cancelled_count,
+              COUNT(*) FILTER (WHERE amount_match = 'underpaid')::int AS underpaid_count,
+              COUNT(*) FILTER (WHERE amount_match = 'overpaid')::int AS overpaid_count,
+              SUM(fiat) FILTER (WHERE state = 'confirmed')::text AS fiat_total,
+              SUM(crypto) FILTER (WHERE state = 'confirmed')::text AS crypto_total,
+              SUM(received) FILTER (WHERE state = 'confirmed')::text AS crypto_received_total,
+              SUM(fee) FILTER (WHERE state = 'confirmed')::text AS network_fee_total,
+              SUM(tip) FILTER (WHERE state = 'confirmed')::text AS tip_total
+       FROM p
+       ${dims.length ? 'GROUP BY ' + dims.join(', ') + ' ORDER BY ' + dims.map(d => `${d} COLLATE "C"`).join(', ') : ''}`,
+      params
+    );
+    return rows.filter(r => r.count > 0);
+  }
+
+  async listPaymentsInRange(from, to, scope = null, tz = 'UTC') {
+    await this._ready;
+    const params = [from, to, tz];
+    const where = scopeFilter(scope, params);
+    const { rows } = await this._pool.query(
+      `SELECT ${REPORT_COLUMNS.join(', ')}
+       FROM payments
+       WHERE (created_at AT TIME ZONE $3)::date BETWEEN $1::date AND $2::date ${where ? 'AND ' + where : ''}
+       ORDER BY created_at DESC`,
+      params
+    );
+    return rows;
+  }
+
+  // Payments created between the local dates from..to in tz, oldest first, read in
+  // keyset batches so a year-long export never holds more than one batch.
+  async *streamPaymentsInRange({ from, to, tz = 'UTC', scope = null, batchSize = 1000 }) {
+    await this._ready;
+    let after = null;
+    for (;;) {
+      const params = [from, to, tz];
+      const where = [`(created_at AT TIME ZONE $3)::date BETWEEN $1::date AND $2::date`];
+      const scoped = scopeFilter(scope, params);
+      if (scoped) where.push(scoped);
+      if (after) {
+        params.push(after.at, after.payment_id);
+        where.push(`(created_at, payment_id) > ($${params.length - 1}::timestamptz, $${params.length})`);
+      }
+      params.push(batchSize);
+      const { rows } = await this._pool.query(
+        `SELECT *, to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS _cursor_at
+         FROM payments
+         WHERE ${where.join(' AND ')}
+         ORDER BY created_at, payment_id
+         LIMIT $${params.length}`,
+        params
+      );
+      for (const { _cursor_at, ...p } of rows) yield p;
+      if (rows.length < batchSize) return;
+      const last = rows[rows.length - 1];
+      after = { at: last._cursor_at, payment_id: last.payment_id };
+    }
+  }
+
+  // Kept for a week; only runs that claimed work or failed are recorded.
+  async recordSchedulerRun({ job, instance_id, started_at, finished_at, claimed = 0, succeeded = 0, failed = 0, expired = 0, max_lag_ms = null, error = null, failures = [] }) {
+    await this._ready;
+    await this._pool.query(
+      `INSERT INTO scheduler_runs (job, instance_id, started_at, finished_at, claimed, succeeded, failed, expired, max_lag_ms, error, failures)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [job, instance_id, started_at, finished_at, claimed, succeeded, failed, expired, max_lag_ms, error, JSON.stringify(failures)]
+    );
+    await this._pool.query(
+      `DELETE FROM scheduler_runs WHERE job = $1 AND started_at < now() - interval '7 days'`,
+      [job]
+    );
+  }
+
+  async updateSchedulerJob({ job, instance_id, last_run_at, last_status, last_error = null, next_run_at = null }) {
+    await this._ready;
+    await this._pool.query(
+      `INSERT INTO scheduler_jobs (job, instance_id, last_run_at, last_status, last_error, next_run_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, now())
+       ON CONFLICT (job, instance_id) DO UPDATE SET
+         last_run_at = EXCLUDED.last_run_at, last_status = EXCLUDED.last_status,
+         last_error = EXCLUDED.last_error, next_run_at = EXCLUDED.next_run_at, updated_at = now()`,
+      [job, instance_id, last_run_at, last_status, last_error, next_run_at]
+    );
+  }
+
+  async listSchedulerJobs() {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT job, instance_id, last_run_at, last_status, last_error, next_run_at, updated_at
+       FROM scheduler_jobs ORDER BY job, last_run_at DESC NULLS LAST`
+    );
+    return rows;
+  }
+
+  async listSchedulerRuns({ job = null, failedOnly = false, limit = 50 } = {}) {
+    await this._ready;
+    const where = [];
+    const params = [];
+    if (job) { params.push(job); where.push(`job = $${params.length}`); }
+    if (failedOnly) where.push('(failed > 0 OR error IS NOT NULL)');
+    params.push(Math.min(limit, 500));
+    const { rows } = await this._pool.query(
+      `SELECT * FROM scheduler_runs
+       ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY started_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows;
+  }
+
+  async createApiKey({ merchant, sid = null, name = null, key_prefix, key_hash }) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `INSERT INTO api_keys (merchant, sid, name, key_prefix, key_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [merchant, sid, name, key_prefix, key_hash]
+    );
+    return rows[0];
+  }
+
+  async findActiveApiKey(key_hash) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL LIMIT 1`,
+      [key_hash]
+    );
+    return rows[0] || null;
+  }
+
+  // last_used_at is informational; at most one write per key per minute.
+  async touchApiKey(id) {
+    await this._ready;
+    await this._pool.query(
+      `UPDATE api_keys SET last_used_at = now()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < now() - interval '60 seconds')`,
+      [id]
+    );
+  }
+
+  async listApiKeys({ merchant = null, limit = 200 } = {}) {
+    await this._ready;
+    const params = [];
+    if (merchant) params.push(merchant);
+    params.push(Math.min(limit, 1000));
+    const { rows } = await this._pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys
+       ${merchant ? 'WHERE merchant = $1' : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows;
+  }
+
+  async revokeApiKey(id) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, now())
+       WHERE id = $1
+       RETURNING ${API_KEY_COLUMNS}`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // Payments referenced by a settlement file, by payment_id or order_id.
+  async findPaymentsByReference({ payment_ids = [], order_ids = [] }) {
+    await this._ready;
+    if (!payment_ids.length && !order_ids.length) return [];
+    const { rows } = await this._pool.query(
+      `SELECT * FROM payments WHERE payment_id = ANY($1) OR order_id = ANY($2)`,
+      [payment_ids, order_ids]
+    );
+    return rows;
+  }
+
+  // Inserts the run and all of its items in one statement, so a run is never
+  // visible half-written.
+  async createReconciliationRun({ source_name = null, format, period_from = null, period_to = null, tolerance = 0, actor = null, summary, items }) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `WITH run AS (
+         INSERT INTO reconciliation_runs (source_name, format, period_from, period_to, tolerance, actor, summary)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *
+       ), items AS (
+         INSERT INTO reconciliation_items (run_id, kind, payment_id, order_id, issues, settlement, local)
+         SELECT run.id, e->>'kind', e->>'payment_id', e->>'order_id', COALESCE(e->'issues', '[]'),
+                NULLIF(e->'settlement', 'null'::jsonb), NULLIF(e->'local', 'null'::jsonb)
+         FROM run, jsonb_array_elements($8::jsonb) WITH ORDINALITY AS x(e, n)
+         ORDER BY n
+       )
+       SELECT ${RECONCILIATION_RUN_COLUMNS} FROM run`,
+      [source_name, format, period_from, period_to, tolerance, actor, JSON.stringify(summary), JSON.stringify(items)]
+    );
+    return rows[0];
+  }
+
+  async getReconciliationRun(id) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT ${RECONCILIATION_RUN_COLUMNS} FROM reconciliation_runs WHERE id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async listReconciliationRuns({ limit = 100 } = {}) {
+    await this._ready;
+    const { rows } = await this._pool.query(
+      `SELECT ${RECONCILIATION_RUN_COLUMNS} FROM reconciliation_runs
+       ORDER BY created_at DESC, id DESC
        LIMIT $1`,
       [Math.min(limit, 500)]
     );
     return rows;
   }
+
+  // Items in file order, then missing_settlement; kind narrows to one classification.
+  async listReconciliationItems(run_id, { kind = null } = {}) {
+    await this._ready;
+    const params = [run_id];
+    if (kind) params.push(kind);
+    const { rows } = await this._pool.query(
+      `SELECT id, kind, payment_id, order_id, issues, settlement, local
+       FROM reconciliation_items
+       WHERE run_id = $1 ${kind ? 'AND kind = $2' : ''}
+       ORDER BY id`,
+      params
+    );
+    return rows;
+  }
 }
 
-export const store = new Store();
+// Postgres when DATABASE_URL is set, otherwise an in-memory store (data is lost on restart).
+export const store = process.env.DATABASE_URL ? new Store() : new MemoryStore();
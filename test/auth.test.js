@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authScope, paymentInScope, generateApiKey, hashApiKey } from '../auth.js';
+
+const shop = { merchant: 'shop', sid: 'sid_shop' };
+
+test('authScope limits merchant keys and leaves admins unscoped', () => {
+  assert.deepEqual(authScope({ role: 'merchant', merchant: 'shop', sid: 'sid_shop', key_id: 7 }), shop);
+  assert.equal(authScope({ role: 'admin' }), null);
+  assert.equal(authScope(null), null);
+});
+
+test('paymentInScope matches on sid or merchant slug', () => {
+  assert.equal(paymentInScope({ sid: 'sid_shop', merchant: null }, shop), true);
+  assert.equal(paymentInScope({ sid: null, merchant: 'shop' }, shop), true);
+  assert.equal(paymentInScope({ sid: 'sid_other', merchant: 'other' }, shop), false);
+  assert.equal(paymentInScope({ sid: null, merchant: null }, shop), false);
+  assert.equal(paymentInScope(null, shop), false);
+});
+
+test('a null scope sees every payment', () => {
+  assert.equal(paymentInScope({ sid: 'sid_other', merchant: 'other' }, null), true);
+});
+
+test('API keys are stored as their SHA-256', () => {
+  const key = generateApiKey();
+  assert.match(key, /^svp_[\w-]{32}$/);
+  assert.notEqual(generateApiKey(), key);
+  assert.match(hashApiKey(key), /^[0-9a-f]{64}$/);
+  assert.equal(hashApiKey(key), hashApiKey(key));
+});
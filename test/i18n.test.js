@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalizer } from '../i18n.js';
+
+test('crypto amounts keep every digit they were given', () => {
+  const en = createLocalizer('en');
+  assert.equal(en.amount('0.123456789012345678', 'ETH'), '0.123456789012345678 ETH');
+  assert.equal(en.amount('12345678.123456789', 'USDT'), '12,345,678.123456789 USDT');
+  assert.equal(en.amount('0.50000000', 'btc'), '0.50000000 BTC');
+});
+
+test('fiat amounts use the locale currency format', () => {
+  assert.equal(createLocalizer('en').amount('1000.5', 'EUR'), '€1,000.50');
+  assert.equal(createLocalizer('de').amount('1000.5', 'EUR'), '1.000,50 €');
+});
+
+test('values that are not decimals pass through', () => {
+  assert.equal(createLocalizer('en').amount('n/a', 'BTC'), 'n/a BTC');
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { MemoryStore } from '../memoryStore.js';
+import { idempotency } from '../idempotency.js';
+
+let server;
+let base;
+let calls = 0;
+let gate = null;
+let onCall = null;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  // Stands in for the API key middleware: X-Key-Id picks the caller.
+  app.use((req, _res, next) => {
+    const key_id = req.get('X-Key-Id');
+    req.auth = key_id ? { role: 'merchant', merchant: `m${key_id}`, key_id: Number(key_id) } : null;
+    next();
+  });
+  app.post('/pay', idempotency({ store: new MemoryStore(), scope: 'pay', ttlSec: 60 }), async (req, res) => {
+    calls++;
+    onCall?.();
+    if (gate) await gate;
+    if (req.body.fail) return res.status(502).json({ error: 'upstream failed' });
+    res.json({ payment_id: `pay_${calls}` });
+  });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(key, body, headers = {}) {
+  return fetch(`${base}/pay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key, ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+test('a retry with the same key and body replays the first response', async () => {
+  const first = await post('k-replay', { amount: '10.00', currency: 'USD' });
+  const retry = await post('k-replay', { currency: 'USD', amount: '10.00' });
+  const body = await first.json();
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await retry.json(), body);
+  assert.notDeepEqual(await (await post('k-other', { amount: '10.00', currency: 'USD' })).json(), body);
+});
+
+test('the same key with a different body is rejected with 422', async () => {
+  assert.equal((await post('k-body', { amount: '10.00' })).status, 200);
+  const res = await post('k-body', { amount: '11.00' });
+  assert.equal(res.status, 422);
+});
+
+test('a retry while the first request is still running gets 409', async () => {
+  let open;
+  gate = new Promise(resolve => { open = resolve; });
+  const started = new Promise(resolve => { onCall = resolve; });
+  const first = post('k-busy', { amount: '5.00' });
+  await started;
+  const retry = await post('k-busy', { amount: '5.00' });
+  gate = onCall = null;
+  open();
+  assert.equal(retry.status, 409);
+  assert.equal((await first).status, 200);
+});
+
+test('a 5xx response releases the key so the client can retry', async () => {
+  const failed = await post('k-fail', { fail: true });
+  assert.equal(failed.status, 502);
+  const callsBefore = calls;
+  const retry = await post('k-fail', { fail: true });
+  assert.equal(retry.status, 502);
+  assert.equal(retry.headers.get('idempotent-replayed'), null);
+  assert.equal(calls, callsBefore + 1);
+});
+
+test('callers with different API keys never share a key', async () => {
+  const body = { amount: '20.00', currency: 'EUR' };
+  const shop = await (await post('k-shared', body, { 'X-Key-Id': '1' })).json();
+  const other = await post('k-shared', body, { 'X-Key-Id': '2' });
+  assert.equal(other.headers.get('idempotent-replayed'), null);
+  assert.notDeepEqual(await other.json(), shop);
+  assert.equal((await post('k-shared', body)).headers.get('idempotent-replayed'), null);
+  const retry = await post('k-shared', body, { 'X-Key-Id': '1' });
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await retry.json(), shop);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyAmount, updateFromCheckPayment } from '../paymentState.js';
+
+test('classifyAmount: exact, underpaid and overpaid', () => {
+  assert.deepEqual(classifyAmount('0.5', '0.5'), { amount_match: 'exact', amount_difference: '0.0' });
+  assert.deepEqual(classifyAmount('0.5', '0.4'), { amount_match: 'underpaid', amount_difference: '-0.1' });
+  assert.deepEqual(classifyAmount('0.5', '0.6'), { amount_match: 'overpaid', amount_difference: '0.1' });
+});
+
+test('classifyAmount: null while nothing usable has been received', () => {
+  assert.equal(classifyAmount('0.5', null), null);
+  assert.equal(classifyAmount('0.5', '0'), null);
+  assert.equal(classifyAmount('0.5', 'abc'), null);
+  assert.equal(classifyAmount(null, '0.5'), null);
+});
+
+test('classifyAmount: differences within tolerance count as exact', () => {
+  assert.equal(classifyAmount('1.00', '0.99', '0.01').amount_match, 'exact');
+  assert.equal(classifyAmount('1.00', '1.01', '0.01').amount_match, 'exact');
+  assert.equal(classifyAmount('1.00', '0.989', '0.01').amount_match, 'underpaid');
+  assert.equal(classifyAmount('1.00', '1.011', '0.01').amount_match, 'overpaid');
+  // An unreadable tolerance falls back to none.
+  assert.equal(classifyAmount('1.00', '0.99', 'lots').amount_match, 'underpaid');
+});
+
+test('classifyAmount: exact at 18 decimals, difference at the amounts\' own scale', () => {
+  assert.deepEqual(
+    classifyAmount('0.123456789012345678', '0.123456789012345677'),
+    { amount_match: 'underpaid', amount_difference: '-0.000000000000000001' }
+  );
+  assert.deepEqual(classifyAmount('12.5', '12.50'), { amount_match: 'exact', amount_difference: '0.00' });
+  // A finer tolerance doesn't leak its scale into the difference.
+  assert.deepEqual(classifyAmount('1.5', '1.4', '0.00000001'), { amount_match: 'underpaid', amount_difference: '-0.1' });
+});
+
+test('updateFromCheckPayment: stores expected and received amounts apart', () => {
+  const { update, refused } = updateFromCheckPayment(
+    { state: 'waiting', crypto_amount: '0.01' },
+    { state: 'waiting', status: 'Waiting', amount: '0.01', payment: '0.004' }
+  );
+  assert.equal(refused, null);
+  assert.equal(update.crypto_expected, '0.01');
+  assert.equal(update.crypto_received, '0.004');
+  assert.equal(update.amount_match, 'underpaid');
+  assert.equal(update.amount_difference, '-0.006');
+});
+
+test('updateFromCheckPayment: flags an underpayment only once the state is terminal', () => {
+  const open = updateFromCheckPayment({ state: 'waiting' }, { state: 'waiting', amount: '1', payment: '0.5' });
+  assert.equal(open.update.follow_up, undefined);
+
+  const closed = updateFromCheckPayment({ state: 'waiting' }, { state: 'confirmed', amount: '1', payment: '0.5' });
+  assert.equal(closed.update.follow_up, 'underpaid');
+  assert.ok(closed.update.follow_up_at);
+});
+
+test('updateFromCheckPayment: no follow-up for exact or overpaid, and an existing one is kept', () => {
+  const over = updateFromCheckPayment({ state: 'waiting' }, { state: 'confirmed', amount: '1', payment: '1.5' });
+  assert.equal(over.update.follow_up, undefined);
+  const tolerated = updateFromCheckPayment({ state: 'waiting' }, { state: 'confirmed', amount: '1', payment: '0.99' }, { tolerance: '0.01' });
+  assert.equal(tolerated.update.amount_match, 'exact');
+  assert.equal(tolerated.update.follow_up, undefined);
+  const flagged = updateFromCheckPayment(
+    { state: 'waiting', follow_up: 'underpaid', follow_up_at: '2024-01-01T00:00:00.000Z' },
+    { state: 'confirmed', amount: '1', payment: '0.5' }
+  );
+  assert.equal(flagged.update.follow_up, undefined);
+});
+
+test('updateFromCheckPayment: refuses to leave a terminal state', () => {
+  const r = updateFromCheckPayment({ state: 'confirmed' }, { state: 'waiting', amount: '1', payment: '1' });
+  assert.deepEqual(r.update, {});
+  assert.match(r.refused, /confirmed -> waiting/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecheckSchedule } from '../recheckSchedule.js';
+
+const schedule = createRecheckSchedule({ firstDelaySec: 60, backoffSec: [60, 300], ttlSec: 600, graceSec: 120, jitterRatio: 0, maxLateFailures: 3 });
+const created_at = '2024-05-01T10:00:00.000Z';
+const at = (sec) => new Date(Date.parse(created_at) + sec * 1000);
+
+test('expiry comes from wait_time, else the ttl', () => {
+  assert.equal(schedule.expiresAt({ created_at, wait_time: 900 }).toISOString(), at(900).toISOString());
+  assert.equal(schedule.expiresAt({ created_at }).toISOString(), at(600).toISOString());
+  assert.equal(schedule.finalCheckAt({ created_at }).toISOString(), at(720).toISOString());
+});
+
+test('checks back off and never go past the final check', () => {
+  assert.equal(schedule.initial({ created_at }).next_check_at, at(60).toISOString());
+  const first = schedule.afterCheck({ created_at, check_count: 0 }, at(60));
+  assert.equal(first.update.next_check_at, at(120).toISOString());
+  const late = schedule.afterCheck({ created_at, check_count: 3 }, at(600));
+  assert.equal(late.update.next_check_at, at(720).toISOString());
+  assert.deepEqual(schedule.afterCheck({ created_at, check_count: 4 }, at(720)), { expire: true });
+});
+
+test('failed checks before the final check keep the payment scheduled', () => {
+  const r = schedule.afterError({ created_at, check_count: 1 }, at(700));
+  assert.equal(r.park, false);
+  assert.equal(r.update.next_check_at, at(720).toISOString());
+  assert.equal(r.update.late_check_failures, undefined);
+});
+
+test('failed checks past the final check are capped, then the payment is parked', () => {
+  let p = { created_at, check_count: 5 };
+  for (let i = 1; i < 3; i++) {
+    const r = schedule.afterError(p, at(720 + i * 300));
+    assert.equal(r.park, false);
+    assert.equal(r.update.late_check_failures, i);
+    assert.ok(r.update.next_check_at);
+    p = { ...p, ...r.update };
+  }
+  const last = schedule.afterError(p, at(720 + 900));
+  assert.equal(last.park, true);
+  assert.equal(last.update.next_check_at, null);
+  assert.equal(last.update.late_check_failures, 3);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSettlementFile, reconcile } from '../reconcile.js';
+
+const payment = {
+  payment_id: 'pay_1', order_id: 'o1', state: 'confirmed',
+  invoice_amount: '100.00', invoice_currency: 'EUR', crypto_amount: '0.00150000', currency: 'BTC',
+  network_processing_fee: '0.00001',
+};
+
+test('parses semicolon CSV with aliases and thousands separators', () => {
+  const rows = parseSettlementFile('\ufeffPayment ID;Fiat Amount;Currency;Crypto Amount\npay_1;"1,000.50";btc;0.0015\n', 'text/csv');
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].payment_id, 'pay_1');
+  assert.equal(rows[0].invoice_amount, '1000.50');
+  assert.equal(rows[0].currency, 'BTC');
+  assert.equal(rows[0].crypto_amount, '0.0015');
+});
+
+test('ambiguous headers are not taken for ids or crypto amounts', () => {
+  const [row] = parseSettlementFile('payment,amount,order id\nInvoice 7,100.00,o1\n', 'text/csv');
+  assert.equal(row.payment_id, null);
+  assert.equal(row.crypto_amount, null);
+  assert.equal(row.order_id, 'o1');
+});
+
+test('fiat and crypto amounts use their own tolerance', () => {
+  const rows = [{ line: 2, payment_id: 'pay_1', invoice_amount: '100.01', crypto_amount: '0.0015001', currency: 'BTC', fee: null }];
+  const { items } = reconcile({ rows, payments: [payment], tolerance: { fiat: '0.01', crypto: () => '0.00000001' } });
+  assert.deepEqual(items[0].issues.map(i => i.field), ['crypto_amount']);
+
+  const loose = reconcile({ rows, payments: [payment], tolerance: { fiat: '0.01', crypto: () => '0.0000001' } });
+  assert.equal(loose.items[0].kind, 'matched');
+});
+
+test('amounts compare as exact decimals', () => {
+  const rows = [{ line: 2, payment_id: 'pay_1', crypto_amount: '0.00150000000000001', currency: 'BTC' }];
+  const { items } = reconcile({ rows, payments: [payment] });
+  assert.equal(items[0].kind, 'mismatch');
+  const same = reconcile({ rows: [{ ...rows[0], crypto_amount: '0.0015' }], payments: [payment] });
+  assert.equal(same.items[0].kind, 'matched');
+});
+
+test('classifies missing, duplicate and unsettled payments', () => {
+  const rows = [
+    { line: 2, payment_id: 'pay_1' },
+    { line: 3, payment_id: 'pay_1' },
+    { line: 4, payment_id: 'pay_x' },
+  ];
+  const other = { ...payment, payment_id: 'pay_2', order_id: 'o2' };
+  const { summary } = reconcile({ rows, payments: [payment], confirmedInPeriod: [payment, other] });
+  assert.equal(summary.matched, 1);
+  assert.equal(summary.duplicate, 1);
+  assert.equal(summary.missing_local, 1);
+  assert.equal(summary.missing_settlement, 1);
+});
+
+test('crypto amounts compare against what was received', () => {
+  const rows = [{ line: 2, payment_id: 'pay_1', crypto_amount: '0.0014', currency: 'BTC' }];
+  const underpaid = { ...payment, crypto_received: '0.0014' };
+  assert.equal(reconcile({ rows, payments: [underpaid] }).items[0].kind, 'matched');
+  const { items } = reconcile({ rows, payments: [payment] });
+  assert.deepEqual(items[0].issues, [{ field: 'crypto_amount', local: '0.00150000', settlement: '0.0014' }]);
+});
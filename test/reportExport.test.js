@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { journalLines, csvCell } from '../reportExport.js';
+
+const payment = {
+  payment_id: 'pay_1', order_id: 'o1', state: 'confirmed', created_at: '2026-03-01T23:30:00Z',
+  invoice_amount: '100.005', invoice_currency: 'EUR', meta_tip_amount: '10.10',
+  network_processing_fee: '0.000012345', rate: '60123.45', crypto_amount: '0.0017', currency: 'BTC',
+};
+
+function total(lines, side) {
+  return lines.reduce((sum, l) => sum + Math.round(Number(l[side] || 0) * 100), 0);
+}
+
+test('journal lines balance and round amounts exactly', () => {
+  const lines = journalLines(payment);
+  assert.deepEqual(lines.map(l => [l.account, l.debit, l.credit]), [
+    ['Crypto Clearing', '100.01', ''],
+    ['Sales', '', '89.91'],
+    ['Tips Payable', '', '10.10'],
+    ['Crypto Network Fees', '0.74', ''],
+    ['Crypto Clearing', '', '0.74'],
+  ]);
+  assert.equal(total(lines, 'debit'), total(lines, 'credit'));
+});
+
+test('journal dates follow the time zone and currencies their minor units', () => {
+  assert.equal(journalLines(payment, { tz: 'Europe/Berlin' })[0].date, '2026-03-02');
+  const yen = journalLines({ ...payment, invoice_amount: '1500', invoice_currency: 'JPY', meta_tip_amount: null, rate: null });
+  assert.deepEqual(yen.map(l => [l.debit, l.credit]), [['1500', ''], ['', '1500']]);
+  assert.deepEqual(journalLines({ ...payment, state: 'waiting' }), []);
+});
+
+test('csvCell quotes quotes, commas and line breaks', () => {
+  assert.equal(csvCell('plain'), 'plain');
+  assert.equal(csvCell('a "b", c'), '"a ""b"", c"');
+  assert.equal(csvCell('a\rb'), '"a\rb"');
+  assert.equal(csvCell('a\nb'), '"a\nb"');
+  assert.equal(csvCell(null), '');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createWebhookVerifier, parseSecretList, redactUrl } from '../webhookAuth.js';
+
+function request({ headers = {}, query = {}, body = {} } = {}) {
+  const raw = JSON.stringify(body);
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: h => lower[h.toLowerCase()], query, body, rawBody: Buffer.from(raw) };
+}
+
+function signed(secret, body, ts = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac('sha256', secret).update(`${ts}.${JSON.stringify(body)}`).digest('hex');
+  return request({ headers: { 'X-Signature': `sha256=${sig}`, 'X-Timestamp': String(ts) }, body });
+}
+
+test('tokens match the current or a rotated secret', () => {
+  const verify = createWebhookVerifier({ tokens: parseSecretList('new, old', 'old') });
+  assert.deepEqual(verify(request({ query: { token: 'new' } })), {
+    ok: true, method: 'token', key_index: 0, auth: 'valid', reason: null,
+  });
+  const rotated = verify(request({ headers: { 'X-Webhook-Token': 'old' } }));
+  assert.equal(rotated.auth, 'rotated_key');
+  assert.equal(rotated.key_index, 1);
+  assert.equal(verify(request({ query: { token: 'stale' } })).reason, 'invalid token');
+  assert.equal(verify(request()).reason, 'missing token');
+  assert.equal(createWebhookVerifier({})(request({ query: { token: 'new' } })).reason, 'no webhook secrets configured');
+});
+
+test('HMAC signatures are checked against every active secret', () => {
+  const verify = createWebhookVerifier({ hmacSecrets: ['s2', 's1'] });
+  const body = { payment_id: 'pay_1', status: 'Confirmed' };
+  assert.equal(verify(signed('s2', body)).auth, 'valid');
+  const rotated = verify(signed('s1', body));
+  assert.equal(rotated.method, 'hmac');
+  assert.equal(rotated.auth, 'rotated_key');
+
+  const tampered = signed('s2', body);
+  tampered.rawBody = Buffer.from(JSON.stringify({ ...body, status: 'Cancelled' }));
+  assert.equal(verify(tampered).reason, 'bad signature');
+  assert.equal(verify(signed('s3', body)).reason, 'bad signature');
+});
+
+test('HMAC timestamps must be present and recent', () => {
+  const verify = createWebhookVerifier({ hmacSecrets: ['s1'], toleranceSec: 60 });
+  const stale = Math.floor(Date.now() / 1000) - 120;
+  assert.equal(verify(signed('s1', {}, stale)).reason, 'timestamp outside tolerance');
+  const req = signed('s1', {});
+  req.get = h => (h === 'x-signature' ? 'abc' : undefined);
+  assert.equal(verify(req).reason, 'missing or invalid timestamp');
+});
+
+test('requireSignature turns away token-only callbacks', () => {
+  const verify = createWebhookVerifier({ tokens: ['t'], hmacSecrets: ['s1'], requireSignature: true });
+  assert.equal(verify(request({ query: { token: 't' } })).reason, 'signature required');
+  assert.equal(verify(signed('s1', {})).ok, true);
+});
+
+test('redactUrl hides tokens in logged callback URLs', () => {
+  assert.equal(redactUrl('https://x.test/cb?a=1&token=secret&access_token=t2'), 'https://x.test/cb?a=1&token=[redacted]&access_token=[redacted]');
+});
@@ -0,0 +1,78 @@
+// webhookAuth.js — verification of inbound ForumPay callbacks
+//
+// Two mechanisms, each with a list of active secrets so they can be rotated
+// without downtime (add the new secret first, switch the provider, then drop
+// the old one):
+//   - HMAC: hex HMAC-SHA256 over `${timestamp}.${rawBody}` in a signature header,
+//     with the timestamp within toleranceSec of now.
+//   - Token: a shared token in ?token= or the X-Webhook-Token header.
+// The first secret in each list is the current one; a match on any later one is
+// reported as a rotated key so stragglers can be spotted in webhook_events.
+import crypto from 'crypto';
+
+// Comparing digests keeps timingSafeEqual's equal-length requirement without
+// leaking the secret's length.
+function safeEqual(a, b) {
+  const da = crypto.createHash('sha256').update(String(a)).digest();
+  const db = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(da, db);
+}
+
+function matchIndex(secrets, candidate) {
+  let found = -1;
+  // No early exit, so the position of the matching secret does not affect timing.
+  secrets.forEach((s, i) => { if (safeEqual(s, candidate) && found < 0) found = i; });
+  return found;
+}
+
+function parseTimestamp(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n > 1e12 ? n : n * 1000; // seconds or milliseconds
+}
+
+export function parseSecretList(...values) {
+  return [...new Set(values.flatMap(v => String(v || '').split(',')).map(s => s.trim()).filter(Boolean))];
+}
+
+export function redactUrl(url) {
+  return String(url).replace(/([?&](?:token|access_token)=)[^&]*/gi, '$1[redacted]');
+}
+
+// Returns verify(req) -> { ok, method, key_index, auth, reason }, where auth is
+// 'valid' | 'rotated_key' | 'rejected' for logging.
+export function createWebhookVerifier({
+  tokens = [],
+  hmacSecrets = [],
+  signatureHeader = 'x-signature',
+  timestampHeader = 'x-timestamp',
+  toleranceSec = 300,
+  requireSignature = false,
+}) {
+  const reject = (reason) => ({ ok: false, method: null, key_index: -1, auth: 'rejected', reason });
+  const accept = (method, key_index) => ({
+    ok: true, method, key_index, auth: key_index === 0 ? 'valid' : 'rotated_key', reason: null,
+  });
+
+  return function verify(req) {
+    const sig = String(req.get(signatureHeader) || '').trim().replace(/^sha256=/i, '');
+    if (sig && hmacSecrets.length) {
+      const ts = parseTimestamp(req.get(timestampHeader));
+      if (ts == null) return reject('missing or invalid timestamp');
+      if (Math.abs(Date.now() - ts) > toleranceSec * 1000) return reject('timestamp outside tolerance');
+      const raw = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+      const idx = matchIndex(
+        hmacSecrets.map(secret => crypto.createHmac('sha256', secret).update(`${req.get(timestampHeader)}.${raw}`).digest('hex')),
+        sig.toLowerCase()
+      );
+      return idx >= 0 ? accept('hmac', idx) : reject('bad signature');
+    }
+    if (requireSignature) return reject('signature required');
+
+    const token = String(req.query.token || req.get('x-webhook-token') || '');
+    if (!tokens.length) return reject('no webhook secrets configured');
+    if (!token) return reject('missing token');
+    const idx = matchIndex(tokens, token);
+    return idx >= 0 ? accept('token', idx) : reject('invalid token');
+  };
+}